@@ -0,0 +1,26 @@
+/**
+ * Load the configuration for a command-line entry point
+ *
+ * An invalid configuration is reported as its list of problems with exit code 1,
+ * instead of a stack trace. Call it before anything else requires config/config.js;
+ * later requires get the already loaded configuration.
+ *
+ * options.json also prints the problems as JSON on stdout.
+ */
+function loadConfigOrExit(options = {}) {
+    try {
+        return require('./config');
+    } catch (err) {
+        if (err.name !== 'ConfigError') {
+            throw err;
+        }
+
+        console.error(err.message);
+        if (options.json) {
+            console.log(JSON.stringify({ error: err.message, name: err.name, errors: err.errors }, null, 2));
+        }
+        process.exit(1);
+    }
+}
+
+module.exports = { loadConfigOrExit };
@@ -0,0 +1,326 @@
+const fs = require('fs');
+const path = require('path');
+const { SCHEMA, PROFILES } = require('./schema');
+
+const CONFIG_DIR = __dirname;
+const REDACTED = '********';
+
+// Where each effective value came from, for `etl config print`
+const origins = new WeakMap();
+
+/**
+ * Raised when any setting is invalid; lists every problem at once
+ */
+class ConfigError extends Error {
+    constructor(problems) {
+        // One flag can set several keys; report each problem once
+        const errors = [...new Set(problems)];
+        super(`Invalid configuration (${errors.length} error${errors.length > 1 ? 's' : ''}):\n${errors.map(e => `  - ${e}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Check a number against a setting's range; returns an error message or null
+ */
+function rangeError(spec, number) {
+    if (spec.min !== undefined && number < spec.min) {
+        return `must be at least ${spec.min}`;
+    }
+    if (spec.max !== undefined && number > spec.max) {
+        return `must be at most ${spec.max}`;
+    }
+    return null;
+}
+
+/**
+ * Parse a raw value (an env/flag string or a JSON value) for a setting
+ *
+ * Returns { value } or { error }.
+ */
+function parseValue(spec, raw) {
+    if (raw === null) {
+        return spec.nullable ? { value: null } : { error: 'must be set' };
+    }
+
+    const text = typeof raw === 'string' ? raw.trim() : null;
+
+    switch (spec.type) {
+        case 'string':
+            return typeof raw === 'string' && raw !== '' ? { value: raw } : { error: 'must be a non-empty string' };
+
+        case 'int': {
+            const number = text !== null && /^-?\d+$/.test(text) ? Number(text) : raw;
+            if (!Number.isInteger(number)) {
+                return { error: 'must be an integer' };
+            }
+            const error = rangeError(spec, number);
+            return error ? { error } : { value: number };
+        }
+
+        case 'number': {
+            const number = text !== null && text !== '' ? Number(text) : raw;
+            if (typeof number !== 'number' || !Number.isFinite(number)) {
+                return { error: 'must be a number' };
+            }
+            const error = rangeError(spec, number);
+            return error ? { error } : { value: number };
+        }
+
+        case 'boolean':
+            if (typeof raw === 'boolean') {
+                return { value: raw };
+            }
+            if (text !== null && /^(true|1)$/i.test(text)) {
+                return { value: true };
+            }
+            if (text !== null && /^(false|0)$/i.test(text)) {
+                return { value: false };
+            }
+            return { error: 'must be true or false' };
+
+        case 'enum':
+            return spec.values.includes(raw) ? { value: raw } : { error: `must be one of ${spec.values.join(', ')}` };
+
+        default:
+            return { error: `has unknown type ${spec.type}` };
+    }
+}
+
+/**
+ * Flatten a config file object into dotted setting keys, reporting keys the schema does not know
+ */
+function flattenFile(object, file, errors, prefix = '') {
+    const settings = {};
+
+    for (const [name, value] of Object.entries(object)) {
+        const key = `${prefix}${name}`;
+
+        if (SCHEMA[key]) {
+            settings[key] = value;
+        } else if (value && typeof value === 'object' && !Array.isArray(value) &&
+            Object.keys(SCHEMA).some(schemaKey => schemaKey.startsWith(`${key}.`))) {
+            Object.assign(settings, flattenFile(value, file, errors, `${key}.`));
+        } else {
+            errors.push(`${file}: unknown setting ${key}`);
+        }
+    }
+
+    return settings;
+}
+
+/**
+ * Read config/<name>.json as dotted settings, or {} if it does not exist
+ */
+function readConfigFile(dir, name, errors) {
+    const filePath = path.join(dir, name);
+    const label = path.relative(process.cwd(), filePath) || name;
+
+    if (!fs.existsSync(filePath)) {
+        return { label, settings: {} };
+    }
+
+    try {
+        const contents = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+        if (!contents || typeof contents !== 'object' || Array.isArray(contents)) {
+            errors.push(`${label}: expected a JSON object`);
+            return { label, settings: {} };
+        }
+
+        return { label, settings: flattenFile(contents, label, errors) };
+    } catch (err) {
+        errors.push(`${label}: ${err.message}`);
+        return { label, settings: {} };
+    }
+}
+
+/**
+ * Set a dotted key on a nested object
+ */
+function setPath(object, key, value) {
+    const parts = key.split('.');
+    let node = object;
+
+    for (const part of parts.slice(0, -1)) {
+        node[part] = node[part] || {};
+        node = node[part];
+    }
+
+    node[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Read a dotted key from a nested object
+ */
+function getPath(object, key) {
+    return key.split('.').reduce((node, part) => (node === undefined ? undefined : node[part]), object);
+}
+
+/**
+ * Build the effective configuration
+ *
+ * Layers, later ones winning: schema defaults, config/default.json,
+ * config/<NODE_ENV>.json, then environment variables. Every value is checked
+ * against the schema and all problems are reported together in a ConfigError.
+ */
+function loadConfig(options = {}) {
+    const environment = options.environment || process.env;
+    const dir = options.dir || CONFIG_DIR;
+    const errors = [];
+    const values = {};
+    const sources = {};
+
+    const apply = (key, raw, origin) => {
+        const { value, error } = parseValue(SCHEMA[key], raw);
+
+        if (error) {
+            errors.push(`${origin}: ${error} (got ${JSON.stringify(raw)})`);
+        } else {
+            values[key] = value;
+            sources[key] = origin;
+        }
+    };
+
+    for (const [key, spec] of Object.entries(SCHEMA)) {
+        if (spec.default !== undefined) {
+            values[key] = spec.default;
+            sources[key] = 'default';
+        }
+    }
+
+    const profile = environment.NODE_ENV || 'development';
+    const files = ['default.json'];
+
+    if (PROFILES.includes(profile)) {
+        files.push(`${profile}.json`);
+    } else {
+        errors.push(`NODE_ENV: must be one of ${PROFILES.join(', ')} (got ${JSON.stringify(profile)})`);
+    }
+
+    for (const file of files) {
+        const { label, settings } = readConfigFile(dir, file, errors);
+
+        for (const [key, raw] of Object.entries(settings)) {
+            apply(key, raw, `${label} ${key}`);
+        }
+    }
+
+    for (const [key, spec] of Object.entries(SCHEMA)) {
+        const raw = environment[spec.env];
+
+        // An empty variable (e.g. `DB_POOL_SIZE=` in .env) counts as unset
+        if (raw !== undefined && raw !== '') {
+            apply(key, raw, spec.env);
+        }
+    }
+
+    for (const [key, spec] of Object.entries(SCHEMA)) {
+        if (!(key in values)) {
+            errors.push(`${spec.env}: must be set (or ${key} in a config file)`);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+
+    const config = {};
+
+    for (const [key, value] of Object.entries(values)) {
+        setPath(config, key, value);
+    }
+
+    config.env = profile;
+    config.isDevelopment = profile === 'development';
+    config.isProduction = profile === 'production';
+
+    origins.set(config, sources);
+    return config;
+}
+
+/**
+ * Apply command-line overrides ([{ key, value, origin }]) to a loaded config in place
+ *
+ * Overrides are validated like every other layer; all problems are reported together.
+ */
+function applyOverrides(config, overrides) {
+    const errors = [];
+    const parsed = [];
+
+    for (const { key, value: raw, origin } of overrides) {
+        if (!SCHEMA[key]) {
+            errors.push(`${origin}: unknown setting ${key}`);
+            continue;
+        }
+
+        const { value, error } = parseValue(SCHEMA[key], raw);
+
+        if (error) {
+            errors.push(`${origin}: ${error} (got ${JSON.stringify(raw)})`);
+        } else {
+            parsed.push({ key, value, origin });
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+
+    const sources = origins.get(config) || {};
+
+    for (const { key, value, origin } of parsed) {
+        setPath(config, key, value);
+        sources[key] = origin;
+    }
+
+    origins.set(config, sources);
+}
+
+/**
+ * Redact a secret, keeping the non-secret parts of connection URLs
+ */
+function redact(value) {
+    if (value === null) {
+        return null;
+    }
+
+    try {
+        const url = new URL(value);
+
+        if (url.password) {
+            url.password = REDACTED;
+            return url.toString();
+        }
+    } catch (err) {
+        // Not a URL
+    }
+
+    return REDACTED;
+}
+
+/**
+ * List every setting with its effective value (secrets redacted) and where it came from
+ */
+function describeConfig(config) {
+    const sources = origins.get(config) || {};
+
+    return Object.entries(SCHEMA).map(([key, spec]) => {
+        const value = getPath(config, key);
+
+        return {
+            key,
+            env: spec.env,
+            value: spec.secret ? redact(value) : value,
+            source: sources[key] || 'default'
+        };
+    });
+}
+
+module.exports = {
+    ConfigError,
+    loadConfig,
+    applyOverrides,
+    describeConfig
+};
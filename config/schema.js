@@ -0,0 +1,69 @@
+/**
+ * Every setting: its type, default, allowed range or values, and the environment variable that sets it
+ *
+ * Types: string, int, number, boolean, enum. `min`/`max` bound numbers, `values`
+ * lists enum members, `secret` redacts the value in `etl config print`, and
+ * `nullable` settings may be left unset (null). A setting with no default must
+ * be given by a config file or its environment variable.
+ */
+const SCHEMA = {
+    // Database
+    'database.url': { type: 'string', env: 'DATABASE_URL', default: null, nullable: true, secret: true },
+    'database.poolSize': { type: 'int', env: 'DB_POOL_SIZE', default: 20, min: 1, max: 1000 },
+    'database.idleTimeout': { type: 'int', env: 'DB_IDLE_TIMEOUT', default: 30000, min: 0 },
+    'database.connectionTimeout': { type: 'int', env: 'DB_CONNECTION_TIMEOUT', default: 2000, min: 0 },
+    'database.maxRetries': { type: 'int', env: 'DB_MAX_RETRIES', default: 3, min: 1, max: 100 },
+    'database.retryDelay': { type: 'int', env: 'DB_RETRY_DELAY', default: 1000, min: 0 },
+
+    // Google Sheets
+    'googleSheets.spreadsheetId': { type: 'string', env: 'GOOGLE_SHEET_ID', default: null, nullable: true },
+    'googleSheets.serviceAccountPath': { type: 'string', env: 'SERVICE_ACCOUNT_PATH', default: 'service-account.json' },
+    'googleSheets.range': { type: 'string', env: 'SHEET_RANGE', default: 'Sheet1!A2:J' },
+    'googleSheets.batchSize': { type: 'int', env: 'SHEET_BATCH_SIZE', default: 10, min: 1 },
+    'googleSheets.rateLimitDelay': { type: 'int', env: 'SHEET_RATE_LIMIT_DELAY', default: 100, min: 0 },
+
+    // ETL (dataset paths have no built-in default; config/default.json sets them)
+    'etl.sourceType': { type: 'enum', env: 'SOURCE_TYPE', default: 'SHEET', values: ['SHEET', 'CSV', 'JSON'] },
+    'etl.csvPath.students': { type: 'string', env: 'STUDENTS_CSV_PATH' },
+    'etl.csvPath.netflix': { type: 'string', env: 'NETFLIX_CSV_PATH' },
+    'etl.csvPath.titanic': { type: 'string', env: 'TITANIC_CSV_PATH' },
+    'etl.jsonPath.students': { type: 'string', env: 'STUDENTS_JSON_PATH' },
+    // Extra header names for student columns, e.g. "email=E-mail|Contact Email; year=Level"
+    'etl.columnAliases.students': { type: 'string', env: 'STUDENT_COLUMN_ALIASES', default: null, nullable: true },
+    // Rows per batch; the insert loader splits a batch into several INSERTs when its
+    // rows x columns would exceed Postgres's 65535 bind parameters per statement
+    'etl.batchSize': { type: 'int', env: 'ETL_BATCH_SIZE', default: 100, min: 1, max: 5000 },
+    'etl.copyBatchSize': { type: 'int', env: 'ETL_COPY_BATCH_SIZE', default: 10000, min: 1 },
+    // Partial-commit mode: 'off' (any load failure rolls back the run), 'row' or 'batch' savepoints
+    'etl.partialCommit': { type: 'enum', env: 'ETL_PARTIAL_COMMIT', default: 'off', values: ['off', 'row', 'batch'] },
+    'etl.progressInterval': { type: 'int', env: 'ETL_PROGRESS_INTERVAL', default: 1000, min: 1 },
+    // Profiling: earlier profiles compared against, and how many standard deviations count as drift
+    'etl.profileHistory': { type: 'int', env: 'ETL_PROFILE_HISTORY', default: 10, min: 1 },
+    'etl.anomalySigma': { type: 'number', env: 'ETL_ANOMALY_SIGMA', default: 3, min: 0.1 },
+    // Cache entries are invalidated when the source changes, and in any case after the expiry
+    'etl.enableCaching': { type: 'boolean', env: 'ENABLE_CACHING', default: false },
+    'etl.cacheExpiryMinutes': { type: 'int', env: 'CACHE_EXPIRY_MINUTES', default: 30, min: 0 },
+    // Where cache entries live and the limits enforced by LRU eviction
+    'etl.cacheBackend': { type: 'enum', env: 'CACHE_BACKEND', default: 'fs', values: ['fs', 'memory', 'postgres'] },
+    'etl.cacheMaxEntries': { type: 'int', env: 'CACHE_MAX_ENTRIES', default: 100, min: 1 },
+    'etl.cacheMaxBytes': { type: 'int', env: 'CACHE_MAX_BYTES', default: 100 * 1024 * 1024, min: 1 },
+    'etl.cacheCompress': { type: 'boolean', env: 'CACHE_COMPRESS', default: false },
+
+    // Logging
+    'logging.level': {
+        type: 'enum',
+        env: 'LOG_LEVEL',
+        default: 'info',
+        values: ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly']
+    },
+    'logging.file': { type: 'string', env: 'LOG_FILE', default: 'logs/combined.log' },
+    'logging.errorFile': { type: 'string', env: 'ERROR_LOG_FILE', default: 'logs/error.log' }
+};
+
+// Profiles selected by NODE_ENV; each may have a config/<profile>.json
+const PROFILES = ['development', 'staging', 'production'];
+
+module.exports = {
+    SCHEMA,
+    PROFILES
+};
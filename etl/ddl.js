@@ -0,0 +1,111 @@
+const { quoteIdentifier } = require('../utils/sql');
+
+// Columns the loaders fill themselves, not from the validated row
+const BOOKKEEPING_COLUMNS = {
+    imputed_columns: "TEXT[] NOT NULL DEFAULT '{}'"
+};
+
+/**
+ * Target columns that come from the pipeline's row schema
+ */
+function schemaColumns(definition) {
+    return definition.target.columns.filter(column => definition.schema.fields[column]);
+}
+
+/**
+ * Throw unless a pipeline loads a target table from a row schema
+ */
+function assertSchemaTarget(definition) {
+    if (!definition.schema || !definition.target.columns) {
+        throw new Error(`Pipeline ${definition.name} has no row schema with target columns to generate a table from`);
+    }
+
+    const unknown = definition.target.columns
+        .filter(column => !definition.schema.fields[column] && !BOOKKEEPING_COLUMNS[column]);
+
+    if (unknown.length > 0) {
+        throw new Error(`Pipeline ${definition.name} target columns are not in its row schema: ${unknown.join(', ')}`);
+    }
+}
+
+/**
+ * CREATE TABLE for a pipeline's target, generated from its row schema
+ */
+function targetTableSql(definition) {
+    assertSchemaTarget(definition);
+    const { target } = definition;
+
+    const extraColumns = target.columns
+        .filter(column => BOOKKEEPING_COLUMNS[column])
+        .map(column => `${quoteIdentifier(column)} ${BOOKKEEPING_COLUMNS[column]}`);
+
+    if (target.hashColumn) {
+        extraColumns.push(`${quoteIdentifier(target.hashColumn)} CHAR(32)`);
+    }
+
+    return definition.schema.createTableSql({
+        table: target.table,
+        columns: schemaColumns(definition),
+        primaryKey: target.conflictKey,
+        extraColumns
+    });
+}
+
+/**
+ * Compare a pipeline's target table with its row schema
+ *
+ * Returns one message per difference in type, length or nullability, and per
+ * missing column; an empty list means the table matches.
+ */
+async function findSchemaDrift(db, definition) {
+    assertSchemaTarget(definition);
+    const { target } = definition;
+
+    const result = await db.query(
+        `SELECT column_name, data_type, character_maximum_length, is_nullable
+     FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name = $1`,
+        [target.table]
+    );
+    const actual = new Map(result.rows.map(row => [row.column_name, row]));
+    const drift = [];
+
+    if (actual.size === 0) {
+        return [`table ${target.table} does not exist`];
+    }
+
+    for (const expected of definition.schema.expectedColumns(schemaColumns(definition))) {
+        const column = actual.get(expected.name);
+
+        if (!column) {
+            drift.push(`${expected.name}: missing`);
+            continue;
+        }
+
+        const length = column.character_maximum_length === null ? null : Number(column.character_maximum_length);
+        const nullable = column.is_nullable === 'YES';
+
+        if (column.data_type !== expected.dataType || length !== expected.maxLength) {
+            const describe = (type, max) => (max ? `${type}(${max})` : type);
+            drift.push(`${expected.name}: table has ${describe(column.data_type, length)}, schema expects ${describe(expected.dataType, expected.maxLength)}`);
+        }
+
+        // Primary key columns are NOT NULL whether or not the schema requires them
+        if (nullable !== expected.nullable && !(target.conflictKey || []).includes(expected.name)) {
+            drift.push(`${expected.name}: table is ${nullable ? 'nullable' : 'NOT NULL'}, schema ${expected.nullable ? 'allows nulls' : 'requires a value'}`);
+        }
+    }
+
+    for (const column of target.columns.filter(name => BOOKKEEPING_COLUMNS[name])) {
+        if (!actual.has(column)) {
+            drift.push(`${column}: missing`);
+        }
+    }
+
+    return drift;
+}
+
+module.exports = {
+    targetTableSql,
+    findSchemaDrift
+};
@@ -0,0 +1,193 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { getWatermark, listWatermarkSources } = require('../utils/watermarks');
+const { sourceIdentity } = require('../utils/sources');
+const { headerRange } = require('../utils/sheets');
+
+/**
+ * Hash the first `length` bytes of a file
+ */
+async function hashPrefix(filePath, length) {
+    const hash = crypto.createHash('sha256');
+
+    if (length > 0) {
+        for await (const chunk of fs.createReadStream(filePath, { start: 0, end: length - 1 })) {
+            hash.update(chunk);
+        }
+    }
+
+    return hash.digest('hex');
+}
+
+/**
+ * Watermark types and the sources they support
+ *
+ * Each planner receives the previous mark (null on the first run or a full
+ * refresh) and returns the source to read plus hooks to track the next mark.
+ */
+const PLANNERS = {
+    // Largest value of a row field (e.g. a timestamp or an increasing id); rows at or below it are skipped.
+    // Rows without a comparable value are always processed.
+    column: {
+        sources: ['SHEET', 'CSV', 'JSON'],
+        plan: async (definition, spec, mark) => {
+            const last = mark ? mark.last : null;
+            let highest = last;
+
+            return {
+                source: definition.source,
+                firstRowNumber: 1,
+                applied: last !== null,
+                include: (row) => {
+                    const value = spec.value(row);
+
+                    if (value === null || value === undefined || Number.isNaN(value)) {
+                        return true;
+                    }
+
+                    if (highest === null || value > highest) {
+                        highest = value;
+                    }
+
+                    return last === null || value > last;
+                },
+                next: async () => (highest === null ? null : { last: highest })
+            };
+        }
+    },
+
+    // Byte offset into an append-only CSV file, with a hash of the bytes before it;
+    // if those bytes changed the file was rewritten and is read from the start
+    offset: {
+        sources: ['CSV'],
+        plan: async (definition, spec, mark) => {
+            const { path } = definition.source;
+            const { size } = await fs.promises.stat(path);
+            let start = 0;
+            let rowsBefore = 0;
+            let read = 0;
+
+            if (mark && mark.offset <= size && await hashPrefix(path, mark.offset) === mark.hash) {
+                start = mark.offset;
+                rowsBefore = mark.rows;
+            } else if (mark) {
+                logger.warn(`${path} changed before byte ${mark.offset}; reading it from the start`);
+            }
+
+            return {
+                source: { ...definition.source, start, end: size, cache: start > 0 ? false : definition.source.cache },
+                firstRowNumber: 1 + rowsBefore,
+                applied: start > 0,
+                include: () => {
+                    read++;
+                    return true;
+                },
+                next: async () => ({ offset: size, hash: await hashPrefix(path, size), rows: rowsBefore + read })
+            };
+        }
+    },
+
+    // Last sheet row read; the next run reads the range from the row after it
+    row: {
+        sources: ['SHEET'],
+        plan: async (definition, spec, mark) => {
+            const range = definition.source.range || config.googleSheets.range;
+            const match = range.match(/^(.*!)?([A-Z]+)(\d+)(:[A-Z]+)$/);
+
+            if (!match) {
+                throw new Error(`Row watermarks need an open-ended range such as Sheet1!A2:J, got ${range}`);
+            }
+
+            const [, sheet = '', column, firstRow, end] = match;
+            const lastRow = mark ? mark.lastRow : parseInt(firstRow) - 1;
+            let highest = lastRow;
+
+            return {
+                source: {
+                    ...definition.source,
+                    range: `${sheet}${column}${lastRow + 1}${end}`,
+                    // Columns are still resolved from the header row above the full range
+                    headerRange: definition.source.headerRange || headerRange(range),
+                    cache: mark ? false : definition.source.cache
+                },
+                firstRowNumber: lastRow,
+                applied: mark !== null,
+                include: (row, rowNumber) => {
+                    highest = rowNumber;
+                    return true;
+                },
+                next: async () => ({ lastRow: highest })
+            };
+        }
+    }
+};
+
+/**
+ * Plan an incremental extraction for a run, or return null for a full read
+ *
+ * The plan's source replaces the definition's; `include(row, rowNumber)` is
+ * called for every extracted row and `next()` gives the mark to store once the
+ * run has committed, under the plan's source `identity`. `options.fullRefresh` ignores the stored mark.
+ *
+ * A watermark with `optIn: true` is only applied when `options.incremental` is
+ * set; other runs read everything, like a full refresh, and reset the mark.
+ */
+async function planIncremental(definition, options = {}) {
+    const spec = definition.incremental;
+
+    if (!spec || options.replay) {
+        return null;
+    }
+
+    const planner = PLANNERS[spec.type];
+
+    if (!planner) {
+        throw new Error(`Unknown watermark type '${spec.type}' for pipeline ${definition.name} (available: ${Object.keys(PLANNERS).join(', ')})`);
+    }
+
+    if (!planner.sources.includes(definition.source.type)) {
+        throw new Error(`Watermark type '${spec.type}' does not support ${definition.source.type} sources (pipeline ${definition.name})`);
+    }
+
+    if (spec.type === 'column' && typeof spec.value !== 'function') {
+        throw new Error(`Column watermark for pipeline ${definition.name} needs a value(row) function`);
+    }
+
+    // Marks are kept per source: one taken over another file or source type says nothing about this one
+    const identity = sourceIdentity(definition.source);
+    let mark = null;
+
+    if (options.fullRefresh) {
+        logger.info(`Full refresh: ignoring the ${definition.name} watermark`);
+    } else if (spec.optIn && !options.incremental) {
+        logger.info(`The ${definition.name} watermark is opt-in (--incremental); reading the whole source`);
+    } else {
+        const stored = await getWatermark(definition.name, identity);
+
+        if (stored && stored.kind !== spec.type) {
+            logger.warn(`Stored ${stored.kind} watermark for ${definition.name} does not match its ${spec.type} setting; reading everything`);
+        } else if (stored) {
+            mark = stored.value;
+        } else {
+            const others = await listWatermarkSources(definition.name);
+
+            if (others.length > 0) {
+                logger.warn(`No ${definition.name} watermark for ${identity} (marks exist for ${others.join(', ')}); reading everything`);
+            }
+        }
+    }
+
+    const plan = await planner.plan(definition, spec, mark);
+
+    if (plan.applied) {
+        logger.info(`Incremental run of ${definition.name} from ${spec.type} watermark ${JSON.stringify(mark)}`);
+    }
+
+    return { type: spec.type, identity, ...plan };
+}
+
+module.exports = {
+    planIncremental
+};
@@ -0,0 +1,333 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { from: copyFrom } = require('pg-copy-streams');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { buildInsertQuery } = require('../utils/db');
+const { assertIdentifier, quoteIdentifier, quoteTable } = require('../utils/sql');
+
+const MERGE_STRATEGIES = ['insert-only', 'upsert', 'upsert-if-changed'];
+
+// Postgres binds at most 65535 parameters per statement; a multi-row INSERT uses one per value
+const MAX_BIND_PARAMETERS = 65535;
+
+/**
+ * Get the target's merge strategy, defaulting to insert-only
+ */
+function getMergeStrategy(target) {
+    return target.merge || 'insert-only';
+}
+
+/**
+ * Quote a list of column names for a column list
+ */
+function quoteList(columns) {
+    return columns.map(column => quoteIdentifier(column)).join(', ');
+}
+
+/**
+ * Build the ON CONFLICT clause for the target's merge strategy
+ *
+ * insert-only:        existing rows are left untouched
+ * upsert:             every non-key column is overwritten
+ * upsert-if-changed:  overwritten only when the stored row hash differs
+ */
+function mergeClause(target, columns) {
+    if (!target.conflictKey) {
+        return '';
+    }
+
+    const key = quoteList(target.conflictKey);
+    const strategy = getMergeStrategy(target);
+
+    if (strategy === 'insert-only') {
+        return `ON CONFLICT (${key}) DO NOTHING`;
+    }
+
+    const assignments = columns
+        .filter(column => !target.conflictKey.includes(column))
+        .map(column => `${quoteIdentifier(column)} = EXCLUDED.${quoteIdentifier(column)}`)
+        .join(', ');
+
+    let clause = `ON CONFLICT (${key}) DO UPDATE SET ${assignments}`;
+
+    if (strategy === 'upsert-if-changed') {
+        const hash = quoteIdentifier(target.hashColumn);
+        clause += ` WHERE ${quoteTable(target.table)}.${hash} IS DISTINCT FROM EXCLUDED.${hash}`;
+    }
+
+    return clause;
+}
+
+/**
+ * Wrap an INSERT so it reports how many rows were inserted vs. updated
+ *
+ * xmax is 0 only on freshly inserted tuples; rows skipped by DO NOTHING or
+ * by the upsert-if-changed WHERE clause are not returned at all.
+ */
+function withMergeCounts(insertSql) {
+    return `
+    WITH merged AS (
+      ${insertSql}
+      RETURNING (xmax = 0) AS inserted
+    )
+    SELECT COUNT(*) FILTER (WHERE inserted) AS inserted, COUNT(*) AS affected FROM merged
+  `;
+}
+
+/**
+ * Read the inserted and affected row counts of a withMergeCounts query
+ */
+function readMergeResult(result) {
+    return { inserted: parseInt(result.rows[0].inserted), affected: parseInt(result.rows[0].affected) };
+}
+
+/**
+ * Turn merge results into inserted / updated / unchanged counts for a batch
+ *
+ * batchLength is the number of rows merged, after prepareBatch collapsed
+ * duplicate keys; records collapsed away are counted as duplicates.
+ */
+function toMergeCounts({ inserted, affected }, batchLength, recordCount) {
+    const counts = {
+        inserted,
+        updated: affected - inserted,
+        unchanged: batchLength - affected
+    };
+
+    if (recordCount > batchLength) {
+        counts.duplicates = recordCount - batchLength;
+    }
+
+    return counts;
+}
+
+/**
+ * Hash a row's column values so unchanged rows can be detected
+ */
+function hashRow(values) {
+    return crypto.createHash('md5').update(JSON.stringify(values)).digest('hex');
+}
+
+/**
+ * Project validated records onto the target columns (plus row hash)
+ *
+ * Upserts cannot touch the same row twice in one statement, so duplicate keys
+ * within a batch are collapsed to their last occurrence.
+ */
+function prepareBatch(records, target) {
+    const columns = target.hashColumn ? [...target.columns, target.hashColumn] : [...target.columns];
+    let values = records.map(record => {
+        const row = target.columns.map(column => record.data[column]);
+        return target.hashColumn ? [...row, hashRow(row)] : row;
+    });
+
+    if (target.conflictKey && getMergeStrategy(target) !== 'insert-only') {
+        const keyIndexes = target.conflictKey.map(column => columns.indexOf(column));
+        const byKey = new Map(values.map(row => [JSON.stringify(keyIndexes.map(i => row[i])), row]));
+        values = [...byKey.values()];
+    }
+
+    return { columns, values };
+}
+
+/**
+ * Encode one value as a CSV field for COPY (unquoted empty field is NULL)
+ */
+function toCopyField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    if (typeof value === 'boolean') {
+        return value ? 't' : 'f';
+    }
+
+    if (typeof value === 'number') {
+        return String(value);
+    }
+
+    // Postgres array literal, e.g. imputed_columns
+    if (Array.isArray(value)) {
+        const items = value.map(item => `"${String(item).replace(/(["\\])/g, '\\$1')}"`);
+        return `"{${items.join(',').replace(/"/g, '""')}}"`;
+    }
+
+    const text = value instanceof Date
+        ? value.toISOString()
+        : typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Name of the temp table recording which keys the source contained this run
+ */
+function seenKeysTable(target) {
+    return `etl_seen_${target.table}`;
+}
+
+/**
+ * Create the seen-keys temp table for this transaction
+ *
+ * Runs once before the first batch: created inside a partial-commit savepoint,
+ * the table would vanish when that savepoint rolls back.
+ */
+async function createSeenKeysTable(client, definition) {
+    const { target } = definition;
+
+    await client.query(`
+    CREATE TEMP TABLE IF NOT EXISTS ${quoteTable(seenKeysTable(target))} ON COMMIT DROP AS
+    SELECT ${quoteList(target.conflictKey)} FROM ${quoteTable(target.table)} WITH NO DATA
+  `);
+}
+
+/**
+ * Insert loader: one multi-row parameterized INSERT per batch
+ */
+async function insertBatch(client, records, definition) {
+    const { target } = definition;
+    const { columns, values } = prepareBatch(records, target);
+    const merged = { inserted: 0, affected: 0 };
+
+    // Wide tables split a large batch into several statements to stay under the parameter limit
+    const chunkSize = Math.floor(MAX_BIND_PARAMETERS / columns.length);
+
+    for (let start = 0; start < values.length; start += chunkSize) {
+        const chunk = values.slice(start, start + chunkSize);
+        const query = buildInsertQuery(target.table, columns, chunk, mergeClause(target, columns));
+        const result = readMergeResult(await client.query(withMergeCounts(query.text), query.values));
+
+        merged.inserted += result.inserted;
+        merged.affected += result.affected;
+
+        if (target.conflictKey) {
+            const keyIndexes = target.conflictKey.map(column => columns.indexOf(column));
+            const keys = buildInsertQuery(seenKeysTable(target), target.conflictKey, chunk.map(row => keyIndexes.map(i => row[i])));
+            await client.query(keys.text, keys.values);
+        }
+    }
+
+    const counts = toMergeCounts(merged, values.length, records.length);
+    logger.debug(`Batch ending at row ${records[records.length - 1].rowNumber}:`, counts);
+    return counts;
+}
+
+/**
+ * COPY loader: stream the batch into a temp staging table, then merge it into the target
+ *
+ * The staging table lives for the duration of the load transaction and is
+ * emptied after every merge, so it never holds more than one batch.
+ */
+async function copyBatch(client, records, definition) {
+    const { target } = definition;
+    const { columns, values } = prepareBatch(records, target);
+    const stagingTable = quoteTable(`etl_staging_${target.table}`);
+    const targetTable = quoteTable(target.table);
+    const columnList = quoteList(columns);
+
+    await client.query(
+        `CREATE TEMP TABLE IF NOT EXISTS ${stagingTable} (LIKE ${targetTable} INCLUDING DEFAULTS) ON COMMIT DROP`
+    );
+
+    const lines = values.map(row => `${row.map(toCopyField).join(',')}\n`);
+    await pipeline(
+        Readable.from(lines),
+        client.query(copyFrom(`COPY ${stagingTable} (${columnList}) FROM STDIN WITH (FORMAT csv)`))
+    );
+
+    const result = await client.query(withMergeCounts(`
+      INSERT INTO ${targetTable} (${columnList})
+      SELECT ${columnList} FROM ${stagingTable}
+      ${mergeClause(target, columns)}`));
+
+    if (target.conflictKey) {
+        const keyList = quoteList(target.conflictKey);
+        await client.query(`INSERT INTO ${quoteTable(seenKeysTable(target))} (${keyList}) SELECT ${keyList} FROM ${stagingTable}`);
+    }
+
+    await client.query(`TRUNCATE ${stagingTable}`);
+
+    const counts = toMergeCounts(readMergeResult(result), values.length, records.length);
+    logger.debug(`COPY batch ending at row ${records[records.length - 1].rowNumber}:`, counts);
+    return counts;
+}
+
+/**
+ * Count target rows whose key did not appear in the source this run
+ */
+async function countDeletedFromSource(client, definition) {
+    const { target } = definition;
+
+    if (!target.conflictKey) {
+        return {};
+    }
+
+    const joinCondition = target.conflictKey
+        .map(column => `s.${quoteIdentifier(column)} = t.${quoteIdentifier(column)}`)
+        .join(' AND ');
+    const result = await client.query(`
+    SELECT COUNT(*) FROM ${quoteTable(target.table)} t
+    WHERE NOT EXISTS (SELECT 1 FROM ${quoteTable(seenKeysTable(target))} s WHERE ${joinCondition})
+  `);
+
+    return { deleted: parseInt(result.rows[0].count) };
+}
+
+const LOADERS = {
+    insert: { load: insertBatch, batchSize: () => config.etl.batchSize },
+    copy: { load: copyBatch, batchSize: () => config.etl.copyBatchSize }
+};
+
+/**
+ * Resolve the loader, batch size and start- and end-of-load steps for a pipeline definition
+ */
+function resolveLoader(definition) {
+    if (definition.load) {
+        return { load: definition.load, batchSize: config.etl.batchSize, prepare: null, finalize: null };
+    }
+
+    const { target } = definition;
+    const name = target.loader || 'insert';
+
+    // Identifiers come from the definition; reject bad ones before any query runs
+    assertIdentifier(target.table, `pipeline ${definition.name} table name`);
+    [...target.columns, ...(target.conflictKey || []), ...(target.hashColumn ? [target.hashColumn] : [])]
+        .forEach(column => assertIdentifier(column, `pipeline ${definition.name} column name`));
+    const loader = LOADERS[name];
+    const strategy = getMergeStrategy(target);
+
+    if (!loader) {
+        throw new Error(`Unknown loader '${name}' for pipeline ${definition.name} (available: ${Object.keys(LOADERS).join(', ')})`);
+    }
+
+    if (!MERGE_STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown merge strategy '${strategy}' for pipeline ${definition.name} (available: ${MERGE_STRATEGIES.join(', ')})`);
+    }
+
+    if (strategy !== 'insert-only' && !target.conflictKey) {
+        throw new Error(`Merge strategy '${strategy}' for pipeline ${definition.name} requires a conflictKey`);
+    }
+
+    if (strategy === 'upsert-if-changed' && !target.hashColumn) {
+        throw new Error(`Merge strategy 'upsert-if-changed' for pipeline ${definition.name} requires a hashColumn`);
+    }
+
+    return {
+        load: loader.load,
+        batchSize: loader.batchSize(),
+        prepare: target.conflictKey ? createSeenKeysTable : null,
+        finalize: countDeletedFromSource
+    };
+}
+
+module.exports = {
+    MERGE_STRATEGIES,
+    getMergeStrategy,
+    hashRow,
+    insertBatch,
+    copyBatch,
+    countDeletedFromSource,
+    resolveLoader
+};
@@ -0,0 +1,525 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { initializePool, executeTransaction, closePool } = require('../utils/db');
+const { initializeSheetsClient } = require('../utils/sheets');
+const { iterateSource } = require('../utils/sources');
+const { generateQualityReport, failedGates, QualityGateError } = require('../utils/quality');
+const { saveQualityReport } = require('../utils/quality_history');
+const { runProfiler } = require('../utils/profiler');
+const { recordRejects, markRejectsReplayed } = require('../utils/rejects');
+const { startRun, finishRun } = require('../utils/runs');
+const { saveWatermark } = require('../utils/watermarks');
+const { imputeMissing } = require('../utils/validators');
+const { formatError } = require('../utils/row_schema');
+const { resolveLoader } = require('./loaders');
+const { planIncremental } = require('./incremental');
+
+const OUTCOME_LABELS = {
+    deleted: 'deleted from source',
+    duplicates: 'collapsed as repeated keys within a batch (the last one was merged)'
+};
+
+/**
+ * Normalize a validator result into { valid, data, errors, error }
+ */
+function normalizeValidation(result) {
+    if (result.valid) {
+        return { valid: true, data: result.data };
+    }
+
+    const errors = result.errors && result.errors.length > 0
+        ? result.errors
+        : [result.error || 'Validation failed'];
+
+    return { valid: false, errors, error: errors.map(formatError).join('; ') };
+}
+
+/**
+ * Validate a single extracted row into a record or a reject
+ *
+ * With an `impute` policy, unknown fields it covers are filled and the filled
+ * columns are listed in data.imputed_columns.
+ */
+function validateRecord(definition, row, rowNumber) {
+    const validate = definition.validate || (sourceRow => definition.schema.validate(sourceRow));
+    const validation = normalizeValidation(validate(row));
+
+    if (!validation.valid) {
+        logger.warn(`Row ${rowNumber} rejected: ${validation.error}`);
+        return {
+            rejected: { rowNumber, row, stage: 'transform', errors: validation.errors, error: validation.error }
+        };
+    }
+
+    if (definition.impute) {
+        validation.data.imputed_columns = imputeMissing(validation.data, definition.impute);
+    }
+
+    return { record: { rowNumber, row, data: validation.data } };
+}
+
+/**
+ * Number source rows as they are read (or pass replayed rows through with their original numbers)
+ *
+ * An incremental plan reads its own source and numbers rows on from those already read.
+ */
+async function* numberedRows(definition, options, plan) {
+    if (options.replay) {
+        yield* options.replay;
+        return;
+    }
+
+    let rowNumber = plan ? plan.firstRowNumber : 1; // Header row
+
+    for await (const row of iterateSource(plan ? plan.source : definition.source)) {
+        rowNumber++;
+        yield { rowNumber, row };
+    }
+}
+
+/**
+ * Add loader counts for one batch into the running totals
+ */
+function mergeCounts(totals, counts) {
+    for (const [outcome, count] of Object.entries(counts)) {
+        totals[outcome] = (totals[outcome] || 0) + count;
+    }
+    return totals;
+}
+
+/**
+ * Build a load-stage reject for a record that failed to load
+ */
+function toLoadReject(record, err) {
+    return { rowNumber: record.rowNumber, row: record.row, stage: 'load', errors: [err.message], error: err.message };
+}
+
+/**
+ * Load a batch inside savepoints so failing rows are isolated instead of aborting the run
+ *
+ * mode 'row':   one savepoint per row
+ * mode 'batch': one savepoint per batch; when the batch fails it is rolled back
+ *               and retried row by row to find the failing rows
+ */
+async function loadWithSavepoints(client, batch, load, definition, mode) {
+    const counts = {};
+    const failed = [];
+
+    if (mode === 'batch') {
+        await client.query('SAVEPOINT etl_batch');
+
+        try {
+            const batchCounts = await load(client, batch, definition);
+            await client.query('RELEASE SAVEPOINT etl_batch');
+            return { counts: batchCounts, failed };
+        } catch (err) {
+            await client.query('ROLLBACK TO SAVEPOINT etl_batch');
+            await client.query('RELEASE SAVEPOINT etl_batch');
+            logger.warn(`Batch ending at row ${batch[batch.length - 1].rowNumber} failed (${err.message}), retrying rows individually`);
+        }
+    }
+
+    for (const record of batch) {
+        await client.query('SAVEPOINT etl_row');
+
+        try {
+            mergeCounts(counts, await load(client, [record], definition));
+            await client.query('RELEASE SAVEPOINT etl_row');
+        } catch (err) {
+            await client.query('ROLLBACK TO SAVEPOINT etl_row');
+            await client.query('RELEASE SAVEPOINT etl_row');
+            logger.warn(`Row ${record.rowNumber} failed to load: ${err.message}`);
+            failed.push(toLoadReject(record, err));
+        }
+    }
+
+    return { counts, failed };
+}
+
+/**
+ * Stream source rows through validation into batched loads within one transaction
+ *
+ * Only the current batch is held in memory. Accepted records and rejects are
+ * retained for the whole run only when the definition has an afterLoad hook.
+ * Rejects are written to etl_rejects in batches as they accumulate.
+ */
+async function streamAndLoad(client, definition, summary, options, plan) {
+    const { load, batchSize, prepare, finalize } = resolveLoader(definition);
+    const partialCommit = definition.partialCommit || config.etl.partialCommit;
+
+    if (!['off', 'row', 'batch'].includes(partialCommit)) {
+        throw new Error(`Unknown partial-commit mode '${partialCommit}' (expected off, row or batch)`);
+    }
+
+    const progressInterval = config.etl.progressInterval;
+    const retained = definition.afterLoad ? { records: [], rejected: [] } : null;
+    let batch = [];
+    let pendingRejects = [];
+
+    const flushRejects = async () => {
+        await recordRejects(definition.name, summary.runId, pendingRejects);
+        pendingRejects = [];
+    };
+
+    const flush = async () => {
+        let result;
+
+        if (partialCommit === 'off') {
+            try {
+                result = { counts: await load(client, batch, definition), failed: [] };
+            } catch (err) {
+                // Recorded through the pool right away, since the whole load is about to roll back
+                if (err.record) {
+                    await recordRejects(definition.name, summary.runId, [toLoadReject(err.record, err)]);
+                }
+                throw err;
+            }
+        } else {
+            result = await loadWithSavepoints(client, batch, load, definition, partialCommit);
+        }
+
+        mergeCounts(summary.counts, result.counts);
+
+        if (result.failed.length > 0) {
+            summary.failed += result.failed.length;
+            await recordRejects(definition.name, summary.runId, result.failed);
+        }
+
+        const failedRows = new Set(result.failed.map(f => f.rowNumber));
+        const loaded = batch.filter(record => !failedRows.has(record.rowNumber));
+
+        // Derived tables follow each batch inside the same transaction
+        if (definition.afterBatch && loaded.length > 0) {
+            await definition.afterBatch(client, loaded);
+        }
+
+        if (retained) {
+            retained.records.push(...loaded);
+            retained.rejected.push(...result.failed);
+        }
+
+        batch = [];
+    };
+
+    if (prepare) {
+        await prepare(client, definition);
+    }
+
+    for await (const { rowNumber, row } of numberedRows(definition, options, plan)) {
+        if (summary.extracted > 0 && summary.extracted % progressInterval === 0) {
+            logger.info(`Processed ${summary.extracted} rows (${summary.valid} valid, ${summary.rejected} rejected)`);
+        }
+
+        summary.extracted++;
+
+        if (plan && !plan.include(row, rowNumber)) {
+            summary.skipped++;
+            summary.belowWatermark++;
+            continue;
+        }
+
+        if (definition.filter && !definition.filter(row)) {
+            summary.skipped++;
+            continue;
+        }
+
+        const { record, rejected } = validateRecord(definition, row, rowNumber);
+
+        if (rejected) {
+            summary.rejected++;
+            if (retained) retained.rejected.push(rejected);
+            pendingRejects.push(rejected);
+
+            if (pendingRejects.length >= batchSize) {
+                await flushRejects();
+            }
+            continue;
+        }
+
+        summary.valid++;
+        batch.push(record);
+
+        if (batch.length >= batchSize) {
+            await flush();
+        }
+    }
+
+    await flushRejects();
+
+    if (batch.length > 0) {
+        await flush();
+    }
+
+    // A replay or incremental run only sees some of the rows, so "missing from source" would be meaningless;
+    // so does a run whose every row failed to load
+    if (finalize && summary.valid > summary.failed && !options.replay && !summary.incremental) {
+        mergeCounts(summary.counts, await finalize(client, definition));
+    }
+
+    return retained;
+}
+
+/**
+ * Describe where a run reads from, for the run history
+ */
+function describeSource(source, options) {
+    if (options.replay) {
+        return { type: source.type, location: 'etl_rejects' };
+    }
+
+    if (source.type === 'SHEET') {
+        return { type: source.type, location: `${source.spreadsheetId || config.googleSheets.spreadsheetId}/${source.range}` };
+    }
+
+    if (source.start > 0) {
+        return { type: source.type, location: `${source.path} (bytes ${source.start}-${source.end})` };
+    }
+
+    return { type: source.type, location: source.path };
+}
+
+/**
+ * Extract and validate a pipeline's source without touching the database
+ *
+ * Returns the row counts and the first `sampleSize` rejects.
+ */
+async function validateSource(definition, options = {}) {
+    const sampleSize = options.sampleSize || 10;
+    const result = {
+        pipeline: definition.name,
+        source: describeSource(definition.source, {}),
+        extracted: 0,
+        skipped: 0,
+        valid: 0,
+        rejected: 0,
+        rejects: []
+    };
+
+    if (definition.source.type === 'SHEET') {
+        await initializeSheetsClient();
+    }
+
+    for await (const { rowNumber, row } of numberedRows(definition, {})) {
+        result.extracted++;
+
+        if (definition.filter && !definition.filter(row)) {
+            result.skipped++;
+            continue;
+        }
+
+        const { rejected } = validateRecord(definition, row, rowNumber);
+
+        if (!rejected) {
+            result.valid++;
+            continue;
+        }
+
+        result.rejected++;
+        if (result.rejects.length < sampleSize) {
+            result.rejects.push({ rowNumber, errors: rejected.errors });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Run block-severity quality rules on the uncommitted load, rolling it back if any fail
+ */
+async function enforceBlockingGates(client, definition, summary) {
+    if (!definition.quality || summary.valid === 0) {
+        return;
+    }
+
+    const report = await generateQualityReport(definition.target.table, definition.quality(summary), {
+        client,
+        severities: ['block']
+    });
+
+    const failures = failedGates(report);
+    if (failures.length > 0) {
+        summary.qualityReport = report;
+        throw new QualityGateError(definition.target.table, failures);
+    }
+}
+
+/**
+ * Extract, transform, load, write back and check quality for one run
+ */
+async function processRun(definition, options, summary, plan) {
+    const { displayName } = definition;
+
+    if (definition.source.type === 'SHEET') {
+        await initializeSheetsClient();
+    }
+
+    // EXTRACT → TRANSFORM → LOAD, streamed in batches inside one transaction
+    logger.info(`Extracting ${displayName} data from ${definition.source.type}...`);
+    const retained = await executeTransaction(async (client) => {
+        const loaded = await streamAndLoad(client, definition, summary, options, plan);
+        await enforceBlockingGates(client, definition, summary);
+        return loaded;
+    });
+
+    // The watermark only moves once the rows it covers have committed
+    if (plan) {
+        const mark = await plan.next();
+        if (mark) {
+            await saveWatermark(definition.name, plan.identity, plan.type, mark, summary.runId);
+        }
+        if (summary.belowWatermark > 0) {
+            logger.info(`Skipped ${summary.belowWatermark} rows at or below the ${plan.type} watermark`);
+        }
+    }
+
+    // Replayed rejects are settled once the replay run has committed; rows that
+    // failed again were recorded as fresh rejects under this run's id
+    if (options.replay) {
+        await markRejectsReplayed(options.replay.map(r => r.rejectId), summary.runId);
+    }
+
+    if (summary.extracted === 0) {
+        logger.info(summary.incremental ? 'No new data since the last run.' : 'No data found to process.');
+        return;
+    }
+
+    logger.info(`Extracted ${summary.extracted} rows, validated ${summary.valid}, ${summary.rejected} errors`);
+
+    if (definition.afterLoad) {
+        await definition.afterLoad(retained);
+    }
+
+    if (summary.valid === 0 && summary.belowWatermark === summary.extracted) {
+        logger.info('No new data since the last run.');
+        return;
+    }
+
+    if (summary.valid === 0) {
+        logger.warn(`No valid ${displayName} data to load`);
+        return;
+    }
+
+    logger.info(`${displayName} data loaded successfully!`, summary.counts);
+
+    // PROFILING: per-column statistics compared against earlier runs
+    if (definition.profile !== false) {
+        const { target } = definition;
+        summary.anomalies = await runProfiler(target.table, summary.runId, {
+            exclude: [target.hashColumn, ...((definition.profile || {}).exclude || [])].filter(Boolean)
+        });
+    }
+
+    // DATA QUALITY CHECKS
+    if (definition.quality) {
+        logger.info("Running data quality checks...");
+        summary.qualityReport = await generateQualityReport(
+            definition.target.table,
+            definition.quality(summary)
+        );
+
+        if (!summary.qualityReport.passed) {
+            logger.warn('Data quality checks found issues:', summary.qualityReport);
+        } else {
+            logger.info('All data quality checks passed');
+        }
+
+        // Compare against the last successful run before this one is stored
+        summary.qualityReport.regressions = await saveQualityReport(summary.qualityReport, summary.runId);
+
+        // The load has committed; failing fail/block rules mark the run failed
+        const failures = failedGates(summary.qualityReport, ['fail', 'block']);
+        if (failures.length > 0) {
+            throw new QualityGateError(definition.target.table, failures);
+        }
+    }
+
+    // Summary
+    logger.info(`=== ${displayName} ETL Completed Successfully ===`);
+    logger.info(`Total rows extracted: ${summary.extracted}`);
+    logger.info(`Valid rows: ${summary.valid}`);
+    for (const [outcome, count] of Object.entries(summary.counts)) {
+        logger.info(`Rows ${OUTCOME_LABELS[outcome] || outcome}: ${count}`);
+    }
+    logger.info(`Errors: ${summary.rejected}`);
+    if (summary.failed > 0) {
+        logger.info(`Rows failed to load (isolated by savepoint): ${summary.failed}`);
+    }
+}
+
+/**
+ * Run a pipeline definition end to end: extract → validate → load → quality checks
+ *
+ * Every run gets a run id, recorded in etl_runs and attached to all of its log lines.
+ *
+ * options.replay      - [{ rejectId, rowNumber, row }] from etl_rejects to process instead of reading the source
+ * options.fullRefresh - ignore the pipeline's watermark and read the whole source
+ * options.incremental - apply an opt-in watermark (see planIncremental)
+ */
+async function runPipeline(definition, options = {}) {
+    const summary = {
+        runId: crypto.randomUUID(),
+        pipeline: definition.name,
+        extracted: 0,
+        skipped: 0,
+        belowWatermark: 0,
+        valid: 0,
+        rejected: 0,
+        failed: 0,
+        counts: {},
+        qualityReport: null,
+        anomalies: [],
+        incremental: false
+    };
+
+    return logger.runWithContext({ runId: summary.runId }, async () => {
+        const { displayName } = definition;
+        let runRecorded = false;
+
+        logger.info(`=== Starting ${displayName} ETL Pipeline ===`);
+        logger.info(`Environment: ${config.env}`);
+        logger.info(`Source: ${definition.source.type}`);
+        logger.info(`Run ID: ${summary.runId}`);
+
+        if (options.replay) {
+            logger.info(`Replaying ${options.replay.length} rejected rows`);
+        }
+
+        try {
+            // Initialize connections
+            await initializePool();
+
+            const plan = await planIncremental(definition, options);
+            summary.incremental = Boolean(plan && plan.applied);
+
+            await startRun(summary, describeSource(plan ? plan.source : definition.source, options));
+            runRecorded = true;
+
+            await processRun(definition, options, summary, plan);
+
+            await finishRun(summary, 'succeeded');
+            return summary;
+        } catch (err) {
+            logger.error(`=== ${displayName} ETL Error ===`, err);
+
+            if (runRecorded) {
+                await finishRun(summary, 'failed', err).catch((recordErr) => {
+                    logger.error('Failed to record run failure:', recordErr);
+                });
+            }
+
+            throw err;
+        } finally {
+            await closePool();
+            logger.info("Database connections closed");
+        }
+    });
+}
+
+module.exports = {
+    validateRecord,
+    numberedRows,
+    describeSource,
+    validateSource,
+    runPipeline
+};
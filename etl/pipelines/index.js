@@ -0,0 +1,30 @@
+const students = require('./students');
+const netflix = require('./netflix');
+const titanic = require('./titanic');
+
+const pipelines = [students, netflix, titanic];
+
+/**
+ * Look up a pipeline definition by name
+ */
+function getPipeline(name) {
+    const definition = pipelines.find(p => p.name === name);
+
+    if (!definition) {
+        throw new Error(`Unknown pipeline: ${name} (available: ${pipelines.map(p => p.name).join(', ')})`);
+    }
+
+    return definition;
+}
+
+/**
+ * List all registered pipeline definitions
+ */
+function listPipelines() {
+    return pipelines;
+}
+
+module.exports = {
+    getPipeline,
+    listPipelines
+};
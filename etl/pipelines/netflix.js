@@ -0,0 +1,74 @@
+const config = require('../../config/config');
+const { netflixRowSchema } = require('../../utils/validators');
+
+/**
+ * Netflix titles catalogue loaded from CSV
+ */
+module.exports = {
+    name: 'netflix',
+    displayName: 'Netflix',
+    description: 'Netflix titles catalogue (CSV)',
+
+    source: {
+        type: 'CSV',
+        path: config.etl.csvPath.netflix,
+        mapHeaders: ({ header }) => header.toLowerCase().trim()
+    },
+
+    // show_ids are numbered in the order titles are added (s1, s2, ...). Opt-in (--incremental):
+    // the mark skips every existing title, so corrections to them would never be loaded
+    incremental: {
+        type: 'column',
+        value: row => parseInt(String(row.show_id).trim().replace(/^s/, ''), 10),
+        optIn: true
+    },
+
+    // Unknown fields stay NULL; map a column to a default (or a function of the row) to impute it
+    impute: {},
+
+    schema: netflixRowSchema,
+
+    target: {
+        table: 'netflix',
+        columns: [
+            'show_id', 'type', 'title', 'director', 'cast_members',
+            'country', 'date_added', 'release_year', 'rating',
+            'duration', 'listed_in', 'description', 'imputed_columns'
+        ],
+        conflictKey: ['show_id'],
+        hashColumn: 'row_hash',
+        merge: 'upsert-if-changed',
+        // Text-heavy rows: COPY avoids the bind-parameter limit of multi-row INSERT
+        loader: 'copy'
+    },
+
+    // Rebuilds the titles' rows in the normalized tables (netflix_titles, people, countries, genres)
+    async afterBatch(client, records) {
+        await client.query('CALL normalize_netflix_titles($1::VARCHAR[])', [records.map(record => record.data.show_id)]);
+    },
+
+    quality: (summary) => ({
+        expectedRowCount: summary.incremental ? undefined : summary.valid,
+        rowCountTolerance: 10,
+        severities: { duplicates: 'block' },
+        uniqueColumn: 'show_id',
+        requiredColumns: ['show_id', 'title'],
+        validations: [
+            { column: 'release_year', type: 'numeric', min: 1900, max: 2030 },
+            { column: 'type', type: 'allowed', values: ['Movie', 'TV Show'] },
+            {
+                column: 'rating',
+                type: 'allowed',
+                values: ['G', 'PG', 'PG-13', 'R', 'NC-17', 'NR', 'UR', 'TV-Y', 'TV-Y7', 'TV-Y7-FV', 'TV-G', 'TV-PG', 'TV-14', 'TV-MA']
+            },
+            { column: 'show_id', type: 'pattern', pattern: '^s[0-9]+$' },
+            { type: 'unique', columns: ['title', 'type', 'release_year'] },
+            {
+                type: 'sql',
+                name: 'added_before_release',
+                sql: `SELECT show_id, title, release_year, date_added FROM netflix
+                      WHERE substring(date_added from '([0-9]{4})\\s*$')::int < release_year`
+            }
+        ]
+    })
+};
@@ -0,0 +1,203 @@
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+const { batchUpdateSheet, columnLetter, columnIndex, parseRange } = require('../../utils/sheets');
+const { resolveSourceColumns } = require('../../utils/sources');
+const { studentRowSchema } = require('../../utils/validators');
+
+const sourceType = config.etl.sourceType;
+
+/**
+ * Source columns, found by header in any order (case and spacing ignored)
+ *
+ * Only sheets carry the sync status column; CSV/JSON exports have no status.
+ */
+const STUDENT_COLUMNS = {
+    timestamp: { header: 'Timestamp', aliases: ['Submitted At'] },
+    name: { header: 'Student Name', aliases: ['Name', 'Full Name'], required: true },
+    email: { header: 'Email Address', aliases: ['Email', 'E-mail'], required: true },
+    phone: { header: 'Phone Number', aliases: ['Phone', 'Mobile'] },
+    department: { header: 'Department', aliases: ['Dept'] },
+    course: { header: 'Course Name', aliases: ['Course'] },
+    credits: { header: 'Credits' },
+    grade: { header: 'Grade' },
+    year: { header: 'Year Of Study', aliases: ['Year'] },
+    status: { header: 'Status', aliases: ['Sync Status'], required: sourceType === 'SHEET' }
+};
+
+const source = {
+    type: sourceType,
+    path: sourceType === 'JSON' ? config.etl.jsonPath.students : config.etl.csvPath.students,
+    range: config.googleSheets.range,
+    cache: true,
+    columns: STUDENT_COLUMNS,
+    columnAliases: config.etl.columnAliases.students
+};
+
+/**
+ * Register each student through the register_student procedure
+ */
+async function loadStudents(client, records) {
+    const counts = { inserted: 0, updated: 0, unchanged: 0 };
+
+    for (const record of records) {
+        const rowData = record.data;
+
+        try {
+            const result = await client.query(
+                `CALL register_student($1, $2, $3, $4, $5, $6, $7, $8, $9, NULL)`,
+                [
+                    rowData.firstName,
+                    rowData.lastName,
+                    rowData.email,
+                    rowData.phone,
+                    rowData.year,
+                    rowData.department,
+                    rowData.course,
+                    rowData.credits,
+                    rowData.grade
+                ]
+            );
+
+            const outcome = result.rows[0].p_result;
+            counts[outcome]++;
+            logger.debug(`Student ${rowData.email}: ${outcome}`);
+        } catch (err) {
+            logger.error(`Failed to insert student ${rowData.email}:`, err.message);
+            err.record = record;
+            throw err; // Rolls back the transaction, or just this row's savepoint in partial-commit mode
+        }
+    }
+
+    return counts;
+}
+
+/**
+ * Classify records the way register_student would report them, without calling it
+ */
+async function planStudents(client, records) {
+    const result = await client.query(
+        `SELECT s.email, s.first_name, s.last_name, s.phone, s.enrollment_year, c.course_name, e.grade
+     FROM students s
+     LEFT JOIN enrollments e ON e.student_id = s.student_id
+     LEFT JOIN courses c ON c.course_id = e.course_id
+     WHERE s.email = ANY($1)`,
+        [records.map(record => record.data.email)]
+    );
+
+    const existing = new Map();
+    for (const row of result.rows) {
+        const student = existing.get(row.email) || { ...row, grades: new Map() };
+        if (row.course_name !== null) {
+            student.grades.set(row.course_name, row.grade);
+        }
+        existing.set(row.email, student);
+    }
+
+    // Compared like IS DISTINCT FROM: nulls are equal to each other only
+    const same = (a, b) => (a === null || a === undefined ? null : String(a)) === (b === null || b === undefined ? null : String(b));
+
+    return records.map(({ data }) => {
+        const key = { email: data.email };
+        const student = existing.get(data.email);
+
+        if (!student) {
+            return { key, outcome: 'inserted' };
+        }
+
+        const studentChanged = !same(student.first_name, data.firstName) || !same(student.last_name, data.lastName) ||
+            !same(student.phone, data.phone) || !same(student.enrollment_year, data.year);
+        const enrollmentChanged = !student.grades.has(data.course) || !same(student.grades.get(data.course), data.grade);
+
+        return { key, outcome: studentChanged || enrollmentChanged ? 'updated' : 'unchanged' };
+    });
+}
+
+/**
+ * Status cells to write back to the sheet's status column: Synced or Error
+ *
+ * The column is wherever the status header currently is, counted from the
+ * first column of the range.
+ */
+async function sheetStatusUpdates({ records, rejected }) {
+    if (sourceType !== 'SHEET' || (records.length === 0 && rejected.length === 0)) {
+        return [];
+    }
+
+    const { status } = await resolveSourceColumns(source);
+    const { sheet, column } = parseRange(source.range);
+    const statusCell = rowNumber => `${sheet}${columnLetter(columnIndex(column) + status.index)}${rowNumber}`;
+
+    return [
+        ...rejected.map(({ rowNumber, error }) => ({
+            range: statusCell(rowNumber),
+            values: [[`Error: ${error.substring(0, 100)}`]]
+        })),
+        ...records.map(({ rowNumber }) => ({
+            range: statusCell(rowNumber),
+            values: [['Synced']]
+        }))
+    ];
+}
+
+/**
+ * Write Synced / Error statuses back to the sheet's status column
+ */
+async function writeSheetStatuses(retained) {
+    const sheetUpdates = await sheetStatusUpdates(retained);
+
+    if (sheetUpdates.length > 0) {
+        await batchUpdateSheet(sheetUpdates);
+        logger.info(`Updated ${sheetUpdates.length} status cells in Google Sheets`);
+    }
+}
+
+/**
+ * University student registrations from Google Sheets, CSV or JSON
+ */
+module.exports = {
+    name: 'students',
+    displayName: 'Student',
+    description: 'Student registrations (Google Sheet, CSV or JSON per SOURCE_TYPE)',
+
+    source,
+
+    // CSV/JSON exports skip submissions up to the latest timestamp. Sheets are read in
+    // full: the status filter picks the rows to process, including ones fixed or set
+    // back to "Pending Sync" above rows that were already synced.
+    incremental: sourceType === 'SHEET'
+        ? null
+        : { type: 'column', value: row => Date.parse(row.timestamp) },
+
+    // Only process "Pending Sync" rows for Sheet source
+    filter: (row) => sourceType !== 'SHEET' || row.status === 'Pending Sync',
+
+    schema: studentRowSchema,
+
+    // Sheet rows often leave these blank
+    impute: {
+        department: 'General',
+        course: 'General',
+        year: 1
+    },
+
+    target: {
+        table: 'students'
+    },
+
+    load: loadStudents,
+    plan: planStudents,
+    afterLoad: writeSheetStatuses,
+    previewAfterLoad: sheetStatusUpdates,
+
+    quality: () => ({
+        uniqueColumn: 'email',
+        severities: { duplicates: 'block' },
+        requiredColumns: ['first_name', 'last_name', 'email'],
+        validations: [
+            { column: 'email', type: 'email' },
+            { column: 'enrollment_year', type: 'numeric', min: 1, max: 5 },
+            { table: 'enrollments', column: 'student_id', type: 'references', references: 'students' },
+            { table: 'enrollments', column: 'course_id', type: 'references', references: 'courses' }
+        ]
+    })
+};
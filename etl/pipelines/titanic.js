@@ -0,0 +1,118 @@
+const config = require('../../config/config');
+const { buildInsertQuery } = require('../../utils/db');
+const { buildConflictClause } = require('../../utils/sql');
+const { titanicRowSchema } = require('../../utils/validators');
+
+const WIKI_COLUMNS = [
+    'passenger_id', 'wiki_id', 'name_wiki', 'age_wiki', 'hometown',
+    'boarded', 'destination', 'lifeboat', 'body', 'wiki_class'
+];
+
+// Manifest and wiki ages often differ by a year or two (age at boarding vs. birthday)
+const WIKI_AGE_TOLERANCE = 5;
+
+const WIKI_CONFLICT_CLAUSE = buildConflictClause({
+    target: ['passenger_id'],
+    update: WIKI_COLUMNS.slice(1).map(column => ({ column, source: column }))
+});
+
+/**
+ * Upsert the batch's wiki enrichment rows into titanic_wiki
+ *
+ * An upsert cannot touch the same row twice, so a passenger listed more than
+ * once in the batch keeps its last wiki row.
+ */
+async function loadWikiRows(client, records) {
+    const byPassenger = new Map(records
+        .filter(record => record.data.wiki_id !== null)
+        .map(record => [record.data.passenger_id, WIKI_COLUMNS.map(column => record.data[column])]));
+
+    if (byPassenger.size === 0) {
+        return;
+    }
+
+    const query = buildInsertQuery('titanic_wiki', WIKI_COLUMNS, [...byPassenger.values()], WIKI_CONFLICT_CLAUSE);
+    await client.query(query.text, query.values);
+}
+
+/**
+ * Titanic passenger manifest loaded from CSV
+ */
+module.exports = {
+    name: 'titanic',
+    displayName: 'Titanic',
+    description: 'Titanic passenger manifest (CSV)',
+
+    source: {
+        type: 'CSV',
+        path: config.etl.csvPath.titanic,
+        mapHeaders: ({ header }) => header.toLowerCase().trim()
+    },
+
+    // New passengers are appended to the file; later runs read only the new bytes
+    incremental: { type: 'offset' },
+
+    schema: titanicRowSchema,
+
+    // Unknown survived, pclass, age and fare stay NULL so they don't skew survival rates
+    // or averages; a missing relative count means none were listed
+    impute: {
+        sibsp: 0,
+        parch: 0
+    },
+
+    target: {
+        table: 'titanic',
+        columns: [
+            'passenger_id', 'survived', 'pclass', 'name', 'sex', 'age',
+            'sibsp', 'parch', 'ticket', 'fare', 'cabin', 'embarked', 'imputed_columns'
+        ],
+        conflictKey: ['passenger_id'],
+        hashColumn: 'row_hash',
+        merge: 'upsert-if-changed'
+    },
+
+    afterBatch: loadWikiRows,
+
+    quality: (summary) => ({
+        // An incremental run loads a slice, so the table is no longer expected to match it
+        expectedRowCount: summary.incremental ? undefined : summary.valid,
+        rowCountTolerance: 5,
+        severities: { duplicates: 'block' },
+        uniqueColumn: 'passenger_id',
+        requiredColumns: ['passenger_id', 'name'],
+        validations: [
+            { column: 'survived', type: 'numeric', min: 0, max: 1 },
+            { column: 'pclass', type: 'numeric', min: 1, max: 3 },
+            { column: 'age', type: 'numeric', min: 0, max: 150 },
+            { column: 'fare', type: 'numeric', min: 0 },
+            { column: 'sex', type: 'allowed', values: ['male', 'female'] },
+            { column: 'embarked', type: 'allowed', values: ['C', 'Q', 'S'] },
+            { column: 'age', type: 'nullRatio', max: 0.25 },
+            // Reconciliation with the wiki enrichment: each conflicting passenger is a sample
+            {
+                type: 'sql',
+                name: 'age_conflicts_with_wiki',
+                sql: `SELECT t.passenger_id, t.name, t.age, w.age_wiki FROM titanic t
+                      JOIN titanic_wiki w USING (passenger_id)
+                      WHERE abs(t.age - w.age_wiki) > $1`,
+                params: [WIKI_AGE_TOLERANCE]
+            },
+            {
+                type: 'sql',
+                name: 'embarked_conflicts_with_boarded',
+                sql: `SELECT t.passenger_id, t.name, t.embarked, w.boarded FROM titanic t
+                      JOIN titanic_wiki w USING (passenger_id)
+                      WHERE w.boarded <>
+                            CASE t.embarked WHEN 'S' THEN 'Southampton' WHEN 'C' THEN 'Cherbourg' WHEN 'Q' THEN 'Queenstown' END`
+            },
+            {
+                type: 'sql',
+                name: 'pclass_conflicts_with_wiki',
+                sql: `SELECT t.passenger_id, t.name, t.pclass, w.wiki_class FROM titanic t
+                      JOIN titanic_wiki w USING (passenger_id)
+                      WHERE t.pclass <> w.wiki_class`
+            }
+        ]
+    })
+};
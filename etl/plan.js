@@ -0,0 +1,218 @@
+const logger = require('../utils/logger');
+const { initializePool, getPool, closePool } = require('../utils/db');
+const { initializeSheetsClient } = require('../utils/sheets');
+const { quoteIdentifier, quoteTable } = require('../utils/sql');
+const { getMergeStrategy, hashRow, resolveLoader } = require('./loaders');
+const { planIncremental } = require('./incremental');
+const { validateRecord, numberedRows, describeSource } = require('./pipeline');
+
+// Conflict keys are compared as text, joined with the ASCII unit separator
+const KEY_SEPARATOR = '\u001f';
+
+/**
+ * SQL expression matching keyOf() for a table alias
+ */
+function keyExpression(columns, alias) {
+    return `concat_ws(chr(31), ${columns.map(column => `${alias}.${quoteIdentifier(column)}::text`).join(', ')})`;
+}
+
+/**
+ * Text key of a record's conflict columns
+ */
+function keyOf(record, columns) {
+    return columns.map(column => String(record.data[column])).join(KEY_SEPARATOR);
+}
+
+/**
+ * Classify a batch against the target table the way the built-in loaders would merge it
+ *
+ * state.known maps keys already in the table, or planned earlier in this run,
+ * to their row hash, so repeated keys are classified like a real load would.
+ */
+async function classifyBatch(client, records, definition, state) {
+    const { target } = definition;
+    const strategy = getMergeStrategy(target);
+
+    if (!target.conflictKey) {
+        return records.map(() => ({ key: null, outcome: 'inserted' }));
+    }
+
+    const keyed = records.map(record => ({
+        id: keyOf(record, target.conflictKey),
+        key: Object.fromEntries(target.conflictKey.map(column => [column, record.data[column]])),
+        hash: target.hashColumn ? hashRow(target.columns.map(column => record.data[column])) : null
+    }));
+    const lookup = [...new Set(keyed.map(({ id }) => id).filter(id => !state.known.has(id)))];
+
+    if (lookup.length > 0) {
+        const hash = target.hashColumn ? `t.${quoteIdentifier(target.hashColumn)}` : 'NULL';
+        const expression = keyExpression(target.conflictKey, 't');
+        const result = await client.query(
+            `SELECT ${expression} AS id, ${hash} AS hash FROM ${quoteTable(target.table)} t WHERE ${expression} = ANY($1::text[])`,
+            [lookup]
+        );
+
+        for (const row of result.rows) {
+            state.known.set(row.id, row.hash);
+        }
+    }
+
+    return keyed.map(({ id, key, hash }) => {
+        const exists = state.known.has(id);
+        let outcome = 'inserted';
+
+        if (exists && (strategy === 'insert-only' || (strategy === 'upsert-if-changed' && state.known.get(id) === hash))) {
+            outcome = 'unchanged';
+        } else if (exists) {
+            outcome = 'updated';
+        }
+
+        // insert-only keeps the first row for a key; the upserts keep the last
+        if (!exists || strategy !== 'insert-only') {
+            state.known.set(id, hash);
+        }
+        state.seen.add(id);
+
+        return { key, outcome };
+    });
+}
+
+/**
+ * Count target rows whose key the source no longer contains
+ */
+async function countMissingFromSource(client, definition, seen) {
+    const { target } = definition;
+    const result = await client.query(
+        `SELECT COUNT(*) FROM ${quoteTable(target.table)} t WHERE NOT (${keyExpression(target.conflictKey, 't')} = ANY($1::text[]))`,
+        [[...seen]]
+    );
+
+    return parseInt(result.rows[0].count);
+}
+
+/**
+ * Work out what a run would change, without writing to Postgres or Google Sheets
+ *
+ * The source is extracted and validated as in a real run (from the pipeline's
+ * watermark, if it has one), and every valid record is classified against the
+ * current table contents inside a READ ONLY transaction: inserted, updated or
+ * unchanged. Pipelines with a custom loader classify records through their
+ * plan(client, records) hook, and report the sheet cells their afterLoad would
+ * write through previewAfterLoad({ records, rejected }).
+ *
+ * options.fullRefresh - ignore the watermark, as in a real run
+ * options.incremental - apply an opt-in watermark, as in a real run
+ * options.sampleSize  - rejects to include (default 10)
+ */
+async function planPipeline(definition, options = {}) {
+    const { batchSize, finalize } = resolveLoader(definition);
+    const sampleSize = options.sampleSize || 10;
+
+    if (definition.load && !definition.plan) {
+        throw new Error(`Pipeline ${definition.name} has a custom loader but no plan(client, records) hook, so it cannot be dry-run`);
+    }
+
+    const plan = {
+        pipeline: definition.name,
+        dryRun: true,
+        source: null,
+        incremental: false,
+        extracted: 0,
+        skipped: 0,
+        valid: 0,
+        rejected: 0,
+        counts: { inserted: 0, updated: 0, unchanged: 0 },
+        deletedFromSource: null,
+        changes: [],
+        rejects: [],
+        sheetUpdates: []
+    };
+    const state = { known: new Map(), seen: new Set() };
+    const retained = definition.previewAfterLoad ? { records: [], rejected: [] } : null;
+
+    await initializePool();
+    const client = await getPool().connect();
+
+    try {
+        await client.query('BEGIN TRANSACTION READ ONLY');
+
+        const incremental = await planIncremental(definition, options);
+        plan.incremental = Boolean(incremental && incremental.applied);
+        plan.source = describeSource(incremental ? incremental.source : definition.source, {});
+
+        if (definition.source.type === 'SHEET') {
+            await initializeSheetsClient();
+        }
+
+        let batch = [];
+
+        const flush = async () => {
+            const outcomes = definition.plan
+                ? await definition.plan(client, batch)
+                : await classifyBatch(client, batch, definition, state);
+
+            outcomes.forEach(({ key, outcome }, i) => {
+                plan.counts[outcome]++;
+                if (outcome !== 'unchanged') {
+                    plan.changes.push({ rowNumber: batch[i].rowNumber, key, outcome });
+                }
+            });
+
+            if (retained) {
+                retained.records.push(...batch);
+            }
+            batch = [];
+        };
+
+        for await (const { rowNumber, row } of numberedRows(definition, {}, incremental)) {
+            plan.extracted++;
+
+            if ((incremental && !incremental.include(row, rowNumber)) || (definition.filter && !definition.filter(row))) {
+                plan.skipped++;
+                continue;
+            }
+
+            const { record, rejected } = validateRecord(definition, row, rowNumber);
+
+            if (rejected) {
+                plan.rejected++;
+                if (plan.rejects.length < sampleSize) {
+                    plan.rejects.push({ rowNumber, errors: rejected.errors });
+                }
+                if (retained) retained.rejected.push(rejected);
+                continue;
+            }
+
+            plan.valid++;
+            batch.push(record);
+
+            if (batch.length >= batchSize) {
+                await flush();
+            }
+        }
+
+        if (batch.length > 0) {
+            await flush();
+        }
+
+        // Mirrors the loaders' "deleted from source" count, which only a full read can give
+        if (finalize && definition.target.conflictKey && plan.valid > 0 && !plan.incremental) {
+            plan.deletedFromSource = await countMissingFromSource(client, definition, state.seen);
+        }
+
+        if (retained) {
+            plan.sheetUpdates = await definition.previewAfterLoad(retained);
+        }
+    } finally {
+        await client.query('ROLLBACK').catch(() => {});
+        client.release();
+        await closePool();
+    }
+
+    logger.info(`Plan for ${definition.name}:`, plan.counts);
+    return plan;
+}
+
+module.exports = {
+    planPipeline
+};
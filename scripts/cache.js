@@ -0,0 +1,141 @@
+require('dotenv').config();
+const config = require('../config/entry').loadConfigOrExit();
+const logger = require('../utils/logger');
+const { initializePool, closePool } = require('../utils/db');
+const { getCacheStats, clearAllCache, invalidateCache } = require('../utils/cache');
+
+const USAGE = `Usage: npm run cache -- <command> [options]
+
+Commands:
+  stats [--json]      Show cache entries, sizes and limits (default command)
+  clear               Remove every cache entry
+  invalidate <key>    Remove one entry, by source (e.g. CSV:/path/to/students.csv) or stored key`;
+
+/**
+ * Parse command, positional arguments and flags from argv
+ */
+function parseArgs(argv) {
+    const [command = 'stats', ...rest] = argv;
+    const options = {};
+    const positional = [];
+
+    for (const arg of rest) {
+        if (arg === '--json') {
+            options.json = true;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    return { command, positional, options };
+}
+
+/**
+ * Format a byte count for display
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024) {
+        return `${bytes} B`;
+    }
+    if (bytes < 1024 * 1024) {
+        return `${(bytes / 1024).toFixed(1)} KB`;
+    }
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Print cache totals and one line per entry
+ */
+function printStats(stats) {
+    console.log(
+        `Backend: ${stats.backend}, ${stats.totalEntries}/${stats.maxEntries} entries, ` +
+        `${formatBytes(stats.totalBytes)}/${formatBytes(stats.maxBytes)}`
+    );
+
+    for (const entry of stats.entries) {
+        console.log(
+            `  ${entry.key} ${entry.source} rows=${entry.rowCount} size=${formatBytes(entry.bytes)}` +
+            `${entry.compression ? ` (${entry.compression})` : ''} created=${entry.createdAt} used=${entry.accessedAt}`
+        );
+    }
+}
+
+/**
+ * Run the requested cache command
+ */
+async function runCache(argv) {
+    const { command, positional, options } = parseArgs(argv);
+
+    if (!['stats', 'clear', 'invalidate'].includes(command)) {
+        throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+    }
+
+    if (command === 'invalidate' && !positional[0]) {
+        throw new Error(`invalidate requires a key\n\n${USAGE}`);
+    }
+
+    // Only the postgres backend needs a connection
+    const usesDatabase = config.etl.cacheBackend === 'postgres';
+
+    try {
+        if (usesDatabase) {
+            await initializePool();
+        }
+
+        if (command === 'stats') {
+            const stats = await getCacheStats();
+
+            if (options.json) {
+                console.log(JSON.stringify(stats, null, 2));
+            } else {
+                printStats(stats);
+            }
+            return;
+        }
+
+        if (command === 'clear') {
+            const count = await clearAllCache();
+
+            if (options.json) {
+                console.log(JSON.stringify({ command: 'clear', removed: count }, null, 2));
+            } else {
+                console.log(`Removed ${count} cache entries.`);
+            }
+            return;
+        }
+
+        const key = positional[0];
+        const removed = await invalidateCache(key);
+
+        if (options.json) {
+            console.log(JSON.stringify({ command: 'invalidate', key, removed: Boolean(removed) }, null, 2));
+        } else {
+            console.log(removed ? `Invalidated ${key}.` : `No cache entry for ${key}.`);
+        }
+    } finally {
+        if (usesDatabase) {
+            await closePool();
+        }
+    }
+}
+
+if (require.main === module) {
+    const argv = process.argv.slice(2);
+
+    if (argv.includes('--help') || argv.includes('-h')) {
+        console.log(USAGE);
+        process.exit(0);
+    }
+
+    runCache(argv)
+        .then(() => process.exit(0))
+        .catch((err) => {
+            logger.error('Cache command failed:', err);
+            console.error(`Cache command failed: ${err.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = { runCache };
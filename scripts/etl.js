@@ -0,0 +1,560 @@
+#!/usr/bin/env node
+// dotenv's load notice would otherwise precede the JSON on stdout
+if (process.argv.includes('--json')) {
+    process.env.DOTENV_CONFIG_QUIET = 'true';
+}
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { applyOverrides: applyConfigOverrides, describeConfig } = require('../config/loader');
+const { loadConfigOrExit } = require('../config/entry');
+
+// An invalid setting stops every command; report it plainly rather than as a crash
+const config = loadConfigOrExit({ json: process.argv.includes('--json') });
+const logger = require('../utils/logger');
+const { initializePool, getPool, closePool, queryWithRetry } = require('../utils/db');
+const { getMigrationStatus } = require('../utils/migrations');
+const { runPipeline, validateSource } = require('../etl/pipeline');
+const { planPipeline } = require('../etl/plan');
+const { targetTableSql, findSchemaDrift } = require('../etl/ddl');
+const { formatError } = require('../utils/row_schema');
+const { resolveSourceColumns } = require('../utils/sources');
+const { runQuality } = require('./quality');
+const { runCache } = require('./cache');
+const { runMigrations } = require('./run-migrations');
+
+const QUALITY_COMMANDS = ['history', 'diff', 'profile'];
+
+const USAGE = `Usage: npm run etl -- <command> [options]
+
+Commands:
+  run <pipeline> [--dry-run] [--full-refresh] [--incremental]
+                            Run a pipeline (--dry-run: show the rows it would insert or update
+                            and the sheet cells it would write, without writing anything;
+                            --incremental: apply an opt-in watermark such as Netflix's)
+  list                      List the registered pipelines
+  validate <file> [--pipeline <name>]
+                            Validate a CSV/JSON file with a pipeline's validator, without loading it
+                            (the pipeline defaults to the one whose source file has the same name)
+  quality <table> [history|diff|profile] [--limit <n>]
+                            Stored quality reports, the latest diff or the latest profile of a table
+  cache [stats|clear|invalidate <key>]
+                            Inspect or clear the source cache
+  migrate [status|up|down|redo|baseline] [--to <version>] [--steps <n>]
+                            Run schema migrations
+  schema <pipeline>         Print the CREATE TABLE generated from a pipeline's row schema
+  doctor                    Check configuration, database, migrations, pipeline sources and
+                            that target tables match their row schemas
+  config print              Show the effective configuration and where each value came from
+                            (secrets redacted)
+
+Options (override config files and the environment for this invocation):
+  --source <SHEET|CSV|JSON> SOURCE_TYPE
+  --file <path>             The pipeline's source file
+  --batch-size <n>          ETL_BATCH_SIZE and ETL_COPY_BATCH_SIZE
+  --partial-commit <mode>   ETL_PARTIAL_COMMIT (off, row or batch)
+  --log-level <level>       LOG_LEVEL
+  --json                    Print results as JSON on stdout (log lines go to stderr)`;
+
+/**
+ * Split argv into the command, its own arguments and the shared flags
+ *
+ * Shared flags may appear anywhere; everything else is passed on to the command.
+ */
+function parseArgs(argv) {
+    const flags = {};
+    const args = [];
+
+    const valueOf = (i) => {
+        if (i >= argv.length || argv[i].startsWith('--')) {
+            throw new Error(`${argv[i - 1]} needs a value`);
+        }
+        return argv[i];
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--source') {
+            flags.source = valueOf(++i).toUpperCase();
+        } else if (arg === '--file') {
+            flags.file = valueOf(++i);
+        } else if (arg === '--batch-size') {
+            flags.batchSize = valueOf(++i);
+        } else if (arg === '--partial-commit') {
+            flags.partialCommit = valueOf(++i);
+        } else if (arg === '--log-level') {
+            flags.logLevel = valueOf(++i);
+        } else if (arg === '--pipeline') {
+            flags.pipeline = valueOf(++i);
+        } else if (arg === '--dry-run') {
+            flags.dryRun = true;
+        } else if (arg === '--full-refresh') {
+            flags.fullRefresh = true;
+        } else if (arg === '--incremental') {
+            flags.incremental = true;
+        } else if (arg === '--json') {
+            flags.json = true;
+        } else {
+            args.push(arg);
+        }
+    }
+
+    const [command, ...rest] = args;
+    return { command, args: rest, flags };
+}
+
+/**
+ * Apply flag overrides to the shared config, validated against the config schema
+ *
+ * Must run before pipeline definitions are loaded, since they read config when required.
+ */
+function applyOverrides(flags) {
+    const overrides = [];
+
+    if (flags.source) {
+        overrides.push({ key: 'etl.sourceType', value: flags.source, origin: '--source' });
+    }
+    if (flags.batchSize) {
+        overrides.push({ key: 'etl.batchSize', value: flags.batchSize, origin: '--batch-size' });
+        overrides.push({ key: 'etl.copyBatchSize', value: flags.batchSize, origin: '--batch-size' });
+    }
+    if (flags.partialCommit) {
+        overrides.push({ key: 'etl.partialCommit', value: flags.partialCommit, origin: '--partial-commit' });
+    }
+    if (flags.logLevel) {
+        overrides.push({ key: 'logging.level', value: flags.logLevel, origin: '--log-level' });
+    }
+
+    applyConfigOverrides(config, overrides);
+    logger.level = config.logging.level;
+
+    if (flags.json) {
+        logger.useStderr();
+    }
+}
+
+/**
+ * Load the pipeline registry (after overrides have been applied)
+ */
+function pipelines() {
+    return require('../etl/pipelines');
+}
+
+/**
+ * Look up a pipeline and point it at --file when given
+ */
+function loadDefinition(name, flags) {
+    const definition = pipelines().getPipeline(name);
+
+    if (flags.source && definition.source.type !== flags.source) {
+        throw new Error(`Pipeline ${name} reads ${definition.source.type}, not ${flags.source}`);
+    }
+
+    if (!flags.file) {
+        return definition;
+    }
+
+    if (definition.source.type === 'SHEET') {
+        throw new Error(`--file needs a CSV or JSON source; pipeline ${name} reads a Google Sheet (add --source CSV or --source JSON)`);
+    }
+
+    return { ...definition, source: { ...definition.source, path: flags.file } };
+}
+
+/**
+ * Print a value as JSON or through a text printer
+ */
+function output(flags, value, printText) {
+    if (flags.json) {
+        console.log(JSON.stringify(value, null, 2));
+    } else {
+        printText(value);
+    }
+}
+
+/**
+ * Print a validation result: counts, then sample rejects
+ */
+function printValidation(result) {
+    console.log(
+        `${result.pipeline} (${result.source.type} ${result.source.location}): ${result.extracted} rows, ` +
+        `${result.valid} valid, ${result.rejected} rejected, ${result.skipped} skipped`
+    );
+
+    for (const reject of result.rejects) {
+        console.log(`  row ${reject.rowNumber}: ${reject.errors.map(formatError).join('; ')}`);
+    }
+
+    if (result.rejected > result.rejects.length) {
+        console.log(`  ... and ${result.rejected - result.rejects.length} more`);
+    }
+}
+
+/**
+ * Print a dry-run plan: counts, then the first rows per outcome, rejects and sheet writes
+ */
+function printPlan(plan) {
+    const sample = 10;
+    const { counts } = plan;
+
+    console.log(`Plan for ${plan.pipeline} (${plan.source.type} ${plan.source.location}${plan.incremental ? ', incremental' : ''}) - nothing was written`);
+    console.log(
+        `  ${plan.extracted} rows extracted, ${plan.skipped} skipped, ${plan.valid} valid, ${plan.rejected} rejected`
+    );
+    console.log(`  would insert ${counts.inserted}, update ${counts.updated}, leave ${counts.unchanged} unchanged`);
+
+    if (plan.deletedFromSource !== null) {
+        console.log(`  ${plan.deletedFromSource} rows in the table are no longer in the source`);
+    }
+
+    for (const outcome of ['inserted', 'updated']) {
+        const rows = plan.changes.filter(change => change.outcome === outcome);
+
+        if (rows.length > 0) {
+            console.log(`  ${outcome === 'inserted' ? 'Insert' : 'Update'}:`);
+            rows.slice(0, sample).forEach(({ rowNumber, key }) => console.log(`    row ${rowNumber} ${JSON.stringify(key)}`));
+            if (rows.length > sample) {
+                console.log(`    ... and ${rows.length - sample} more`);
+            }
+        }
+    }
+
+    if (plan.rejects.length > 0) {
+        console.log('  Rejected:');
+        plan.rejects.forEach(({ rowNumber, errors }) => console.log(`    row ${rowNumber}: ${errors.map(formatError).join('; ')}`));
+    }
+
+    if (plan.sheetUpdates.length > 0) {
+        console.log(`  Sheet cells to write (${plan.sheetUpdates.length}):`);
+        plan.sheetUpdates.slice(0, sample).forEach(({ range, values }) => console.log(`    ${range} = ${values[0][0]}`));
+        if (plan.sheetUpdates.length > sample) {
+            console.log(`    ... and ${plan.sheetUpdates.length - sample} more`);
+        }
+    }
+}
+
+/**
+ * etl run <pipeline>
+ */
+async function commandRun(args, flags) {
+    if (!args[0]) {
+        throw new Error(`run requires a pipeline name\n\n${USAGE}`);
+    }
+
+    const definition = loadDefinition(args[0], flags);
+
+    if (flags.dryRun) {
+        output(flags, await planPipeline(definition, { fullRefresh: flags.fullRefresh, incremental: flags.incremental }), printPlan);
+        return 0;
+    }
+
+    const summary = await runPipeline(definition, { fullRefresh: flags.fullRefresh, incremental: flags.incremental });
+
+    output(flags, summary, () => {
+        console.log(
+            `${summary.pipeline} run ${summary.runId}: ${summary.extracted} extracted, ${summary.valid} valid, ` +
+            `${summary.rejected} rejected, ${summary.skipped} skipped ${JSON.stringify(summary.counts)}`
+        );
+    });
+    return 0;
+}
+
+/**
+ * etl list
+ */
+async function commandList(args, flags) {
+    const list = pipelines().listPipelines().map(definition => ({
+        name: definition.name,
+        description: definition.description,
+        source: definition.source.type,
+        location: definition.source.type === 'SHEET'
+            ? `${definition.source.spreadsheetId || config.googleSheets.spreadsheetId || '(GOOGLE_SHEET_ID not set)'}/${definition.source.range}`
+            : definition.source.path,
+        table: definition.target.table,
+        loader: definition.load ? 'custom' : definition.target.loader || 'insert',
+        merge: definition.target.merge || null,
+        incremental: definition.incremental
+            ? `${definition.incremental.type}${definition.incremental.optIn ? ' (opt-in)' : ''}`
+            : null
+    }));
+
+    output(flags, list, () => {
+        for (const entry of list) {
+            const details = [`${entry.source} ${entry.location}`, `→ ${entry.table}`, `loader=${entry.loader}`];
+            if (entry.merge) details.push(`merge=${entry.merge}`);
+            if (entry.incremental) details.push(`incremental=${entry.incremental}`);
+            console.log(`${entry.name.padEnd(10)} ${entry.description}\n           ${details.join(' ')}`);
+        }
+    });
+    return 0;
+}
+
+/**
+ * etl validate <file>
+ */
+async function commandValidate(args, flags) {
+    const file = args[0] || flags.file;
+
+    if (!file) {
+        throw new Error(`validate requires a file\n\n${USAGE}`);
+    }
+
+    const type = { '.csv': 'CSV', '.json': 'JSON' }[path.extname(file).toLowerCase()];
+
+    if (!type) {
+        throw new Error(`Cannot tell the source type of ${file}; expected a .csv or .json file`);
+    }
+    if (flags.source && flags.source !== type) {
+        throw new Error(`${file} is a ${type} file, not ${flags.source}`);
+    }
+
+    applyOverrides({ source: type });
+
+    let name = flags.pipeline;
+    if (!name) {
+        const match = pipelines().listPipelines()
+            .find(definition => definition.source.path && path.basename(definition.source.path) === path.basename(file));
+
+        if (!match) {
+            throw new Error(`No pipeline reads a file named ${path.basename(file)}; pass --pipeline <name>`);
+        }
+        name = match.name;
+    }
+
+    const result = await validateSource(loadDefinition(name, { source: type, file }));
+    output(flags, result, printValidation);
+    return result.rejected > 0 ? 1 : 0;
+}
+
+/**
+ * etl quality <table> [history|diff|profile]
+ */
+async function commandQuality(args, flags) {
+    const [table, ...rest] = args;
+    const subcommand = rest[0] && !rest[0].startsWith('--') ? rest.shift() : 'history';
+
+    if (!table) {
+        throw new Error(`quality requires a table name\n\n${USAGE}`);
+    }
+    if (!QUALITY_COMMANDS.includes(subcommand)) {
+        throw new Error(`Unknown quality command: ${subcommand} (expected ${QUALITY_COMMANDS.join(', ')})`);
+    }
+
+    await runQuality([subcommand, table, ...rest, ...(flags.json ? ['--json'] : [])]);
+    return 0;
+}
+
+/**
+ * etl cache [stats|clear|invalidate <key>]
+ */
+async function commandCache(args, flags) {
+    await runCache([...(args.length > 0 ? args : ['stats']), ...(flags.json ? ['--json'] : [])]);
+    return 0;
+}
+
+/**
+ * etl migrate [status|up|down|redo|baseline]
+ */
+async function commandMigrate(args, flags) {
+    await runMigrations([...(args.length > 0 ? args : ['up']), ...(flags.json ? ['--json'] : [])]);
+    return 0;
+}
+
+/**
+ * etl schema <pipeline>
+ */
+async function commandSchema(args, flags) {
+    if (!args[0]) {
+        throw new Error(`schema requires a pipeline name\n\n${USAGE}`);
+    }
+
+    const definition = pipelines().getPipeline(args[0]);
+    const sql = targetTableSql(definition);
+
+    output(flags, { pipeline: definition.name, table: definition.target.table, sql }, () => console.log(sql));
+    return 0;
+}
+
+/**
+ * Check that a pipeline's source can be read
+ */
+async function checkSource(definition) {
+    if (definition.source.type === 'SHEET') {
+        const credentials = config.googleSheets.serviceAccountPath;
+
+        if (!definition.source.spreadsheetId && !config.googleSheets.spreadsheetId) {
+            return { status: 'fail', detail: 'no spreadsheet configured (set GOOGLE_SHEET_ID)' };
+        }
+        if (!fs.existsSync(credentials)) {
+            return { status: 'fail', detail: `service account file ${credentials} not found` };
+        }
+        return { detail: `sheet ${definition.source.spreadsheetId || config.googleSheets.spreadsheetId}, credentials ${credentials}` };
+    }
+
+    const { size } = await fs.promises.stat(definition.source.path);
+    await fs.promises.access(definition.source.path, fs.constants.R_OK);
+
+    // Fails listing any required column missing from the header row
+    if (definition.source.columns) {
+        const mapped = Object.keys(await resolveSourceColumns(definition.source)).length;
+        return { detail: `${definition.source.path} (${size} bytes, ${mapped} of ${Object.keys(definition.source.columns).length} columns mapped)` };
+    }
+
+    return { detail: `${definition.source.path} (${size} bytes)` };
+}
+
+/**
+ * etl doctor
+ */
+async function commandDoctor(args, flags) {
+    const checks = [];
+
+    const check = async (name, run) => {
+        try {
+            const { status = 'ok', detail } = await run();
+            checks.push({ name, status, detail });
+        } catch (err) {
+            checks.push({ name, status: 'fail', detail: err.message });
+        }
+        return checks[checks.length - 1].status !== 'fail';
+    };
+
+    // Types, ranges and enums were already checked when the config loaded
+    await check('config', async () => {
+        if (!config.database.url) {
+            return { status: 'fail', detail: 'DATABASE_URL is not set' };
+        }
+        if (config.etl.sourceType === 'SHEET' && !config.googleSheets.spreadsheetId) {
+            return { status: 'warn', detail: `environment ${config.env}, source SHEET but GOOGLE_SHEET_ID is not set` };
+        }
+        return { detail: `environment ${config.env}, source ${config.etl.sourceType}` };
+    });
+
+    try {
+        const connected = await check('database', async () => {
+            await initializePool();
+            const result = await queryWithRetry('SHOW server_version');
+            return { detail: `PostgreSQL ${result.rows[0].server_version}` };
+        });
+
+        await check('migrations', async () => {
+            if (!connected) {
+                return { status: 'fail', detail: 'skipped: no database connection' };
+            }
+
+            const status = await getMigrationStatus();
+            const byState = state => status.filter(s => s.state === state).map(s => `${s.version}_${s.name}`);
+            const broken = [...byState('drifted'), ...byState('missing')];
+            const pending = byState('pending');
+
+            if (broken.length > 0) {
+                return { status: 'fail', detail: `drifted or missing: ${broken.join(', ')}` };
+            }
+            if (pending.length > 0) {
+                return { status: 'warn', detail: `${pending.length} pending (run: npm run etl -- migrate up): ${pending.join(', ')}` };
+            }
+            return { detail: `${status.length} applied` };
+        });
+
+        for (const definition of pipelines().listPipelines().filter(d => d.schema && d.target.columns)) {
+            await check(`schema:${definition.name}`, async () => {
+                if (!connected) {
+                    return { status: 'fail', detail: 'skipped: no database connection' };
+                }
+
+                const drift = await findSchemaDrift(getPool(), definition);
+                return drift.length > 0
+                    ? { status: 'fail', detail: `${definition.target.table} differs from the row schema: ${drift.join('; ')}` }
+                    : { detail: `${definition.target.table} matches the row schema` };
+            });
+        }
+    } finally {
+        await closePool();
+    }
+
+    for (const definition of pipelines().listPipelines()) {
+        await check(`source:${definition.name}`, () => checkSource(definition));
+    }
+
+    output(flags, checks, () => {
+        for (const { name, status, detail } of checks) {
+            console.log(`${status.toUpperCase().padEnd(4)} ${name.padEnd(18)} ${detail}`);
+        }
+    });
+
+    return checks.some(({ status }) => status === 'fail') ? 1 : 0;
+}
+
+/**
+ * etl config print
+ */
+async function commandConfig(args, flags) {
+    const subcommand = args[0] || 'print';
+
+    if (subcommand !== 'print') {
+        throw new Error(`Unknown config command: ${subcommand} (expected print)`);
+    }
+
+    const settings = describeConfig(config);
+
+    output(flags, { env: config.env, settings }, () => {
+        console.log(`Environment: ${config.env}`);
+        const width = Math.max(...settings.map(({ key }) => key.length));
+
+        for (const { key, value, source } of settings) {
+            console.log(`  ${key.padEnd(width)}  ${JSON.stringify(value)}  (${source})`);
+        }
+    });
+    return 0;
+}
+
+const COMMANDS = {
+    run: commandRun,
+    list: commandList,
+    validate: commandValidate,
+    quality: commandQuality,
+    cache: commandCache,
+    migrate: commandMigrate,
+    schema: commandSchema,
+    doctor: commandDoctor,
+    config: commandConfig
+};
+
+/**
+ * Run an etl command; resolves to the process exit code
+ */
+async function runCli(argv) {
+    const { command, args, flags } = parseArgs(argv);
+
+    if (!COMMANDS[command]) {
+        throw new Error(`${command ? `Unknown command: ${command}` : 'No command given'}\n\n${USAGE}`);
+    }
+
+    applyOverrides(flags);
+    return COMMANDS[command](args, flags);
+}
+
+if (require.main === module) {
+    const argv = process.argv.slice(2);
+
+    if (argv.length === 0 || argv.includes('--help') || argv.includes('-h')) {
+        console.log(USAGE);
+        process.exit(0);
+    }
+
+    runCli(argv)
+        .then(code => process.exit(code))
+        .catch((err) => {
+            logger.error('etl command failed:', err);
+
+            if (argv.includes('--json')) {
+                console.log(JSON.stringify({ error: err.message, name: err.name }, null, 2));
+            } else {
+                console.error(`etl command failed: ${err.message}`);
+            }
+            process.exit(1);
+        });
+}
+
+module.exports = { runCli };
@@ -0,0 +1,191 @@
+require('dotenv').config();
+require('../config/entry').loadConfigOrExit();
+const logger = require('../utils/logger');
+const { initializePool, closePool } = require('../utils/db');
+const { getQualityHistory, diffQualityReports } = require('../utils/quality_history');
+const { getLatestProfile } = require('../utils/profiler');
+
+const USAGE = `Usage: npm run quality -- <command> <table> [options]
+
+Commands:
+  history <table> [--limit <n>] [--json]
+                            Show stored quality reports for a table, newest first
+  diff <table> [--json]     Compare the latest report with the one before it
+  profile <table> [--json]  Show the latest column profile and its anomalies`;
+
+/**
+ * Parse command, positional arguments and flags from argv
+ */
+function parseArgs(argv) {
+    const [command = 'history', ...rest] = argv;
+    const options = {};
+    const positional = [];
+
+    for (let i = 0; i < rest.length; i++) {
+        if (rest[i] === '--limit') {
+            options.limit = parseInt(rest[++i]);
+            if (isNaN(options.limit) || options.limit < 1) {
+                throw new Error('--limit must be a positive integer');
+            }
+        } else if (rest[i] === '--json') {
+            options.json = true;
+        } else if (rest[i].startsWith('--')) {
+            throw new Error(`Unknown option: ${rest[i]}`);
+        } else {
+            positional.push(rest[i]);
+        }
+    }
+
+    return { command, positional, options };
+}
+
+/**
+ * Print stored reports as one line each
+ */
+function printHistory(reports) {
+    if (reports.length === 0) {
+        console.log('No quality reports found.');
+        return;
+    }
+
+    for (const report of reports) {
+        const metrics = Object.entries(report.metrics)
+            .filter(([metric, value]) => metric === 'row_count' || value > 0)
+            .map(([metric, value]) => `${metric}=${value}`)
+            .join(' ');
+
+        console.log(
+            `#${report.report_id} ${report.created_at.toISOString()} run=${report.run_id} ` +
+            `(${report.run_status || 'unknown'}) ${report.passed ? 'PASSED' : 'FAILED'} ` +
+            `${metrics} regressions=${report.regressions.length}`
+        );
+    }
+}
+
+/**
+ * Print regressions, or a note that there are none
+ */
+function printRegressions(tableName, previous, current, regressions) {
+    console.log(`${tableName}: report #${current.report_id} compared with #${previous.report_id}`);
+
+    if (regressions.length === 0) {
+        console.log('No regressions.');
+        return;
+    }
+
+    for (const regression of regressions) {
+        console.log(`  - ${regression.message}`);
+    }
+}
+
+/**
+ * Print a stored profile as one line per column, then its anomalies
+ */
+function printProfile(tableName, profile) {
+    console.log(`${tableName}: profile #${profile.profile_id} of run ${profile.run_id}, ${profile.row_count} rows`);
+
+    for (const [column, stats] of Object.entries(profile.columns)) {
+        const details = [`nulls=${(stats.nullRatio * 100).toFixed(1)}%`, `distinct=${stats.distinctCount}`];
+
+        if (stats.kind === 'numeric') {
+            details.push(`min=${stats.min}`, `max=${stats.max}`, `mean=${stats.mean}`, `stddev=${stats.stddev}`);
+        } else if (stats.kind === 'text') {
+            details.push(`length=${stats.length.min}..${stats.length.max}`);
+            details.push(`top=${stats.topValues.slice(0, 3).map(({ value, count }) => `'${value.slice(0, 30)}'(${count})`).join(',')}`);
+        } else if (stats.kind === 'temporal') {
+            details.push(`min=${stats.min}`, `max=${stats.max}`);
+        }
+
+        console.log(`  ${column} [${stats.kind}] ${details.join(' ')}`);
+    }
+
+    if (profile.anomalies.length === 0) {
+        console.log('No anomalies.');
+        return;
+    }
+
+    console.log('Anomalies:');
+    for (const anomaly of profile.anomalies) {
+        console.log(`  - ${anomaly.message}`);
+    }
+}
+
+/**
+ * Run the requested quality command
+ */
+async function runQuality(argv) {
+    const { command, positional, options } = parseArgs(argv);
+    const tableName = positional[0];
+
+    if (!['history', 'diff', 'profile'].includes(command)) {
+        throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+    }
+
+    if (!tableName) {
+        throw new Error(`${command} requires a table name\n\n${USAGE}`);
+    }
+
+    try {
+        await initializePool();
+
+        if (command === 'history') {
+            const reports = await getQualityHistory(tableName, options.limit);
+
+            if (options.json) {
+                console.log(JSON.stringify(reports.map(({ report, ...rest }) => rest), null, 2));
+            } else {
+                printHistory(reports);
+            }
+            return;
+        }
+
+        if (command === 'profile') {
+            const profile = await getLatestProfile(tableName);
+
+            if (!profile) {
+                console.log(`No profiles stored for ${tableName}.`);
+            } else if (options.json) {
+                console.log(JSON.stringify(profile, null, 2));
+            } else {
+                printProfile(tableName, profile);
+            }
+            return;
+        }
+
+        const [current, previous] = await getQualityHistory(tableName, 2);
+
+        if (!previous) {
+            console.log(`Fewer than two quality reports stored for ${tableName}; nothing to compare.`);
+            return;
+        }
+
+        const regressions = diffQualityReports(previous, current.report);
+
+        if (options.json) {
+            console.log(JSON.stringify({ previous: previous.report_id, current: current.report_id, regressions }, null, 2));
+        } else {
+            printRegressions(tableName, previous, current, regressions);
+        }
+    } finally {
+        await closePool();
+    }
+}
+
+if (require.main === module) {
+    const argv = process.argv.slice(2);
+
+    if (argv.includes('--help') || argv.includes('-h')) {
+        console.log(USAGE);
+        process.exit(0);
+    }
+
+    runQuality(argv)
+        .then(() => process.exit(0))
+        .catch((err) => {
+            logger.error('Quality command failed:', err);
+            console.error(`Quality command failed: ${err.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = { runQuality };
@@ -0,0 +1,156 @@
+require('dotenv').config();
+require('../config/entry').loadConfigOrExit();
+const logger = require('../utils/logger');
+const { initializePool, closePool } = require('../utils/db');
+const { listRejects, getPendingRejects } = require('../utils/rejects');
+const { formatError } = require('../utils/row_schema');
+const { runPipeline } = require('../etl/pipeline');
+const { getPipeline } = require('../etl/pipelines');
+
+const USAGE = `Usage: npm run rejects -- <command> [options]
+
+Commands:
+  list [--pipeline <name>] [--run <id>] [--all] [--limit <n>] [--json]
+                            Show rejected rows (unreplayed only unless --all)
+  replay <pipeline> [--run <id>]
+                            Re-run unreplayed rejects through the pipeline`;
+
+/**
+ * Parse command, positional arguments and flags from argv
+ */
+function parseArgs(argv) {
+    const [command = 'list', ...rest] = argv;
+    const options = {};
+    const positional = [];
+
+    for (let i = 0; i < rest.length; i++) {
+        if (rest[i] === '--pipeline') {
+            options.pipeline = rest[++i];
+        } else if (rest[i] === '--run') {
+            options.runId = rest[++i];
+        } else if (rest[i] === '--limit') {
+            options.limit = parseInt(rest[++i]);
+            if (isNaN(options.limit) || options.limit < 1) {
+                throw new Error('--limit must be a positive integer');
+            }
+        } else if (rest[i] === '--all') {
+            options.includeReplayed = true;
+        } else if (rest[i] === '--json') {
+            options.json = true;
+        } else if (rest[i].startsWith('--')) {
+            throw new Error(`Unknown option: ${rest[i]}`);
+        } else {
+            positional.push(rest[i]);
+        }
+    }
+
+    return { command, positional, options };
+}
+
+/**
+ * Print rejects as one line each
+ */
+function printRejects(rejects) {
+    if (rejects.length === 0) {
+        console.log('No rejects found.');
+        return;
+    }
+
+    for (const reject of rejects) {
+        const replayed = reject.replayed_at ? ` (replayed by ${reject.replay_run_id})` : '';
+        console.log(
+            `#${reject.reject_id} ${reject.pipeline} run=${reject.run_id} row=${reject.source_row_number} ` +
+            `stage=${reject.stage}${replayed}: ${reject.errors.map(formatError).join('; ')}`
+        );
+    }
+}
+
+/**
+ * List rejects from etl_rejects
+ */
+async function listCommand(options) {
+    try {
+        await initializePool();
+        const rejects = await listRejects(options);
+
+        if (options.json) {
+            console.log(JSON.stringify(rejects, null, 2));
+        } else {
+            printRejects(rejects);
+        }
+    } finally {
+        await closePool();
+    }
+}
+
+/**
+ * Replay unreplayed rejects of a pipeline
+ */
+async function replayCommand(pipelineName, options) {
+    if (!pipelineName) {
+        throw new Error(`replay requires a pipeline name\n\n${USAGE}`);
+    }
+
+    const definition = getPipeline(pipelineName);
+    let pending;
+
+    try {
+        await initializePool();
+        pending = await getPendingRejects(definition.name, options);
+    } finally {
+        await closePool();
+    }
+
+    if (pending.length === 0) {
+        console.log(`No rejects to replay for ${definition.name}.`);
+        return;
+    }
+
+    // runPipeline manages its own pool lifecycle
+    const summary = await runPipeline(definition, {
+        replay: pending.map(reject => ({
+            rejectId: reject.reject_id,
+            rowNumber: reject.source_row_number,
+            row: reject.payload
+        }))
+    });
+
+    console.log(
+        `Replayed ${pending.length} rejects in run ${summary.runId}: ` +
+        `${summary.valid} accepted, ${summary.rejected} rejected again`
+    );
+}
+
+/**
+ * Run the requested rejects command
+ */
+async function runRejects(argv) {
+    const { command, positional, options } = parseArgs(argv);
+
+    if (command === 'list') {
+        await listCommand(options);
+    } else if (command === 'replay') {
+        await replayCommand(positional[0], options);
+    } else {
+        throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+    }
+}
+
+if (require.main === module) {
+    const argv = process.argv.slice(2);
+
+    if (argv.includes('--help') || argv.includes('-h')) {
+        console.log(USAGE);
+        process.exit(0);
+    }
+
+    runRejects(argv)
+        .then(() => process.exit(0))
+        .catch((err) => {
+            logger.error('Rejects command failed:', err);
+            console.error(`Rejects command failed: ${err.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = { runRejects };
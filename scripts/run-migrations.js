@@ -0,0 +1,121 @@
+require('dotenv').config();
+require('../config/entry').loadConfigOrExit();
+const logger = require('../utils/logger');
+const { initializePool, closePool } = require('../utils/db');
+const {
+    getMigrationStatus,
+    migrateUp,
+    migrateDown,
+    migrateRedo,
+    migrateBaseline
+} = require('../utils/migrations');
+
+const USAGE = `Usage: npm run migrate -- <command> [options]
+
+Commands:
+  status               Show applied, pending and drifted migrations
+  up [--to <version>]  Apply pending migrations (default command)
+  down [--steps <n>]   Revert the last n applied migrations (default 1)
+  redo [--steps <n>]   Revert and re-apply the last n migrations (default 1)
+  baseline --to <ver>  Record migrations up to <ver> as applied without running them
+                       (for a schema built by hand from the old sql/*.sql scripts)
+
+Options:
+  --json               Print the status or the affected migrations as JSON`;
+
+/**
+ * Parse command and flags from argv
+ */
+function parseArgs(argv) {
+    const [command = 'up', ...rest] = argv;
+    const options = {};
+
+    for (let i = 0; i < rest.length; i++) {
+        if (rest[i] === '--to') {
+            options.target = rest[++i];
+        } else if (rest[i] === '--steps') {
+            options.steps = parseInt(rest[++i]);
+            if (isNaN(options.steps) || options.steps < 1) {
+                throw new Error('--steps must be a positive integer');
+            }
+        } else if (rest[i] === '--json') {
+            options.json = true;
+        } else {
+            throw new Error(`Unknown option: ${rest[i]}`);
+        }
+    }
+
+    return { command, options };
+}
+
+/**
+ * Print migration status table
+ */
+function printStatus(status) {
+    if (status.length === 0) {
+        console.log('No migrations found.');
+        return;
+    }
+
+    for (const entry of status) {
+        const appliedAt = entry.appliedAt ? new Date(entry.appliedAt).toISOString() : '-';
+        console.log(`${entry.state.padEnd(8)} ${entry.version}_${entry.name.padEnd(45)} ${appliedAt}`);
+    }
+}
+
+/**
+ * Run the requested migration command
+ */
+async function runMigrations(argv) {
+    const { command, options } = parseArgs(argv);
+
+    if (!['status', 'up', 'down', 'redo', 'baseline'].includes(command)) {
+        throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+    }
+
+    try {
+        await initializePool();
+
+        if (command === 'status') {
+            const status = await getMigrationStatus();
+
+            if (options.json) {
+                console.log(JSON.stringify(status, null, 2));
+            } else {
+                printStatus(status);
+            }
+            return;
+        }
+
+        const run = { up: migrateUp, down: migrateDown, redo: migrateRedo, baseline: migrateBaseline }[command];
+        const affected = await run(options);
+
+        if (options.json) {
+            console.log(JSON.stringify({ command, migrations: affected }, null, 2));
+        } else {
+            const verb = { up: 'Applied', down: 'Reverted', redo: 'Re-applied', baseline: 'Recorded' }[command];
+            console.log(`${verb} ${affected.length} migration(s)`);
+        }
+    } finally {
+        await closePool();
+    }
+}
+
+if (require.main === module) {
+    const argv = process.argv.slice(2);
+
+    if (argv.includes('--help') || argv.includes('-h')) {
+        console.log(USAGE);
+        process.exit(0);
+    }
+
+    runMigrations(argv)
+        .then(() => process.exit(0))
+        .catch((err) => {
+            logger.error('Migration failed:', err);
+            console.error(`Migration failed: ${err.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = { runMigrations };
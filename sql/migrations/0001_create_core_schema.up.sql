@@ -1,17 +1,11 @@
--- 1. Clean up existing tables (for development only)
-DROP TABLE IF EXISTS enrollments;
-DROP TABLE IF EXISTS courses;
-DROP TABLE IF EXISTS students;
-DROP TABLE IF EXISTS departments;
+-- Core university schema: departments, students, courses and enrollments
 
--- 2. Create Departments Table
 CREATE TABLE departments (
     department_id SERIAL PRIMARY KEY,
     department_name VARCHAR(100) UNIQUE NOT NULL,
     department_code VARCHAR(10)
 );
 
--- 3. Create Students Table
 CREATE TABLE students (
     student_id SERIAL PRIMARY KEY,
     first_name VARCHAR(50) NOT NULL,
@@ -22,7 +16,6 @@ CREATE TABLE students (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- 4. Create Courses Table
 CREATE TABLE courses (
     course_id SERIAL PRIMARY KEY,
     course_name VARCHAR(100) NOT NULL,
@@ -30,7 +23,7 @@ CREATE TABLE courses (
     department_id INT REFERENCES departments(department_id) ON DELETE SET NULL
 );
 
--- 5. Create Enrollments Table (The Join Table)
+-- Join table between students and courses
 CREATE TABLE enrollments (
     enrollment_id SERIAL PRIMARY KEY,
     student_id INT REFERENCES students(student_id) ON DELETE CASCADE,
@@ -40,6 +33,5 @@ CREATE TABLE enrollments (
     CONSTRAINT unique_enrollment UNIQUE (student_id, course_id)
 );
 
--- 6. Add Indexes for Performance (Task 5 Requirement Preview)
 CREATE INDEX idx_students_email ON students(email);
-CREATE INDEX idx_courses_dept ON courses(department_id);
\ No newline at end of file
+CREATE INDEX idx_courses_dept ON courses(department_id);
@@ -0,0 +1,3 @@
+DELETE FROM students WHERE email IN ('alice@university.edu', 'bob@university.edu');
+DELETE FROM courses WHERE course_name IN ('Intro to CS', 'Calculus I', 'Physics 101');
+DELETE FROM departments WHERE department_code IN ('CS', 'MATH', 'PHY');
@@ -0,0 +1,27 @@
+-- Insert Departments
+INSERT INTO departments (department_name, department_code) VALUES 
+('Computer Science', 'CS'),
+('Mathematics', 'MATH'),
+('Physics', 'PHY');
+
+-- Insert Students
+INSERT INTO students (first_name, last_name, email, phone, enrollment_year) VALUES 
+('Alice', 'Wonder', 'alice@university.edu', '555-1234', 1),
+('Bob', 'Builder', 'bob@university.edu', '555-5678', 2);
+
+-- Insert Courses
+INSERT INTO courses (course_name, credits, department_id) VALUES 
+('Intro to CS', 4, (SELECT department_id FROM departments WHERE department_code = 'CS')),
+('Calculus I', 3, (SELECT department_id FROM departments WHERE department_code = 'MATH')),
+('Physics 101', 4, (SELECT department_id FROM departments WHERE department_code = 'PHY'));
+
+-- Insert Enrollments
+INSERT INTO enrollments (student_id, course_id, grade)
+SELECT s.student_id, c.course_id, v.grade
+FROM (VALUES
+    ('alice@university.edu', 'Intro to CS', 'A'), -- Alice in CS
+    ('alice@university.edu', 'Calculus I', 'B'),  -- Alice in Math
+    ('bob@university.edu', 'Physics 101', 'A')    -- Bob in Physics
+) AS v(email, course_name, grade)
+JOIN students s ON s.email = v.email
+JOIN courses c ON c.course_name = v.course_name;
@@ -11,4 +11,4 @@ SELECT
 FROM students s
 JOIN enrollments e ON s.student_id = e.student_id
 JOIN courses c ON e.course_id = c.course_id
-JOIN departments d ON c.department_id = d.department_id;
\ No newline at end of file
+JOIN departments d ON c.department_id = d.department_id;
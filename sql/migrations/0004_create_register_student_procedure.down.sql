@@ -0,0 +1 @@
+DROP PROCEDURE IF EXISTS register_student(VARCHAR, VARCHAR, VARCHAR, VARCHAR);
@@ -27,4 +27,4 @@ BEGIN
         ON CONFLICT DO NOTHING;
     END IF;
 END;
-$$;
\ No newline at end of file
+$$;
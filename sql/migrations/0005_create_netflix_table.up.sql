@@ -1,5 +1,3 @@
-DROP TABLE IF EXISTS netflix;
-
 CREATE TABLE netflix (
     show_id VARCHAR(10) PRIMARY KEY,
     type VARCHAR(20),      
@@ -13,4 +11,4 @@ CREATE TABLE netflix (
     duration VARCHAR(20),
     listed_in TEXT,
     description TEXT
-);
\ No newline at end of file
+);
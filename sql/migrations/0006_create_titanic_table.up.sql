@@ -1,5 +1,3 @@
-DROP TABLE IF EXISTS titanic;
-
 CREATE TABLE titanic (
     passenger_id INT PRIMARY KEY,
     survived INT,
@@ -13,4 +11,4 @@ CREATE TABLE titanic (
     fare FLOAT,
     cabin VARCHAR(50),
     embarked VARCHAR(5)
-);
\ No newline at end of file
+);
@@ -0,0 +1,14 @@
+DROP INDEX IF EXISTS idx_enrollments_student_course;
+DROP INDEX IF EXISTS idx_enrollments_course_grade;
+DROP INDEX IF EXISTS idx_students_recent;
+DROP INDEX IF EXISTS idx_netflix_title_gin;
+DROP INDEX IF EXISTS idx_netflix_description_gin;
+DROP INDEX IF EXISTS idx_netflix_type_year;
+DROP INDEX IF EXISTS idx_netflix_rating;
+DROP INDEX IF EXISTS idx_titanic_survival;
+DROP INDEX IF EXISTS idx_titanic_age;
+DROP INDEX IF EXISTS idx_titanic_fare;
+DROP INDEX IF EXISTS idx_titanic_sex_class;
+DROP INDEX IF EXISTS idx_courses_name;
+DROP INDEX IF EXISTS idx_departments_code;
+DROP INDEX IF EXISTS idx_enrollments_date;
@@ -1,8 +1,5 @@
 -- Advanced indexing strategy for improved query performance
 
-CREATE INDEX idx_students_email ON students(email);
-CREATE INDEX idx_courses_dept ON courses(department_id);
-
 -- 1. Composite indexes for common query patterns
 CREATE INDEX IF NOT EXISTS idx_enrollments_student_course 
 ON enrollments(student_id, course_id);
@@ -11,10 +8,9 @@ CREATE INDEX IF NOT EXISTS idx_enrollments_course_grade
 ON enrollments(course_id, grade) 
 WHERE grade IS NOT NULL;
 
--- 2. Partial indexes for filtering
+-- 2. Index for filtering recent students
 CREATE INDEX IF NOT EXISTS idx_students_recent 
-ON students(enrollment_year, created_at) 
-WHERE enrollment_year >= EXTRACT(YEAR FROM CURRENT_DATE) - 1;
+ON students(enrollment_year, created_at);
 
 -- 3. Netflix full-text search indexes
 CREATE INDEX IF NOT EXISTS idx_netflix_title_gin 
@@ -63,13 +59,3 @@ ANALYZE departments;
 ANALYZE enrollments;
 ANALYZE netflix;
 ANALYZE titanic;
-
--- Display index information
-SELECT 
-    schemaname,
-    tablename,
-    indexname,
-    indexdef
-FROM pg_indexes
-WHERE schemaname = 'public'
-ORDER BY tablename, indexname;
@@ -0,0 +1,78 @@
+-- Persist the full student row: department, course credits, phone, year of study and grade.
+-- Reports through p_result whether the row was 'inserted', 'updated' or 'unchanged'.
+
+DROP PROCEDURE IF EXISTS register_student(VARCHAR, VARCHAR, VARCHAR, VARCHAR);
+
+CREATE OR REPLACE PROCEDURE register_student(
+    p_first_name VARCHAR,
+    p_last_name VARCHAR,
+    p_email VARCHAR,
+    p_phone VARCHAR,
+    p_enrollment_year INT,
+    p_department_name VARCHAR,
+    p_course_name VARCHAR,
+    p_credits INT,
+    p_grade VARCHAR,
+    INOUT p_result VARCHAR DEFAULT NULL
+)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_student_id INT;
+    v_department_id INT;
+    v_course_id INT;
+    v_student_inserted BOOLEAN;
+    v_enrollment_changed INT;
+BEGIN
+    -- Department: upsert by name
+    INSERT INTO departments (department_name)
+    VALUES (p_department_name)
+    ON CONFLICT (department_name) DO NOTHING;
+
+    SELECT department_id INTO v_department_id
+    FROM departments WHERE department_name = p_department_name;
+
+    -- Course: create it (with its credits) when it doesn't exist yet
+    SELECT course_id INTO v_course_id
+    FROM courses WHERE course_name = p_course_name
+    ORDER BY course_id LIMIT 1;
+
+    IF v_course_id IS NULL THEN
+        INSERT INTO courses (course_name, credits, department_id)
+        VALUES (p_course_name, p_credits, v_department_id)
+        RETURNING course_id INTO v_course_id;
+    END IF;
+
+    -- Student: insert, or update only when a column actually differs
+    INSERT INTO students (first_name, last_name, email, phone, enrollment_year)
+    VALUES (p_first_name, p_last_name, p_email, p_phone, p_enrollment_year)
+    ON CONFLICT (email) DO UPDATE SET
+        first_name = EXCLUDED.first_name,
+        last_name = EXCLUDED.last_name,
+        phone = EXCLUDED.phone,
+        enrollment_year = EXCLUDED.enrollment_year
+    WHERE (students.first_name, students.last_name, students.phone, students.enrollment_year)
+        IS DISTINCT FROM (EXCLUDED.first_name, EXCLUDED.last_name, EXCLUDED.phone, EXCLUDED.enrollment_year)
+    RETURNING student_id, (xmax = 0) INTO v_student_id, v_student_inserted;
+
+    IF v_student_id IS NULL THEN
+        SELECT student_id INTO v_student_id FROM students WHERE email = p_email;
+    END IF;
+
+    -- Enrollment: record the grade, updating it only when it changed
+    INSERT INTO enrollments (student_id, course_id, grade)
+    VALUES (v_student_id, v_course_id, p_grade)
+    ON CONFLICT (student_id, course_id) DO UPDATE SET grade = EXCLUDED.grade
+    WHERE enrollments.grade IS DISTINCT FROM EXCLUDED.grade;
+
+    GET DIAGNOSTICS v_enrollment_changed = ROW_COUNT;
+
+    IF v_student_inserted THEN
+        p_result := 'inserted';
+    ELSIF v_student_inserted IS NOT NULL OR v_enrollment_changed > 0 THEN
+        p_result := 'updated';
+    ELSE
+        p_result := 'unchanged';
+    END IF;
+END;
+$$;
@@ -0,0 +1,2 @@
+ALTER TABLE netflix DROP COLUMN IF EXISTS row_hash;
+ALTER TABLE titanic DROP COLUMN IF EXISTS row_hash;
@@ -0,0 +1,5 @@
+-- Row hashes let the upsert-if-changed merge strategy skip rows whose content is identical.
+-- Existing rows start with a NULL hash and are refreshed on the next upsert.
+
+ALTER TABLE netflix ADD COLUMN row_hash CHAR(32);
+ALTER TABLE titanic ADD COLUMN row_hash CHAR(32);
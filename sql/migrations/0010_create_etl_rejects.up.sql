@@ -0,0 +1,19 @@
+-- Dead-letter table for rows rejected during transform (validation) or load
+CREATE TABLE etl_rejects (
+    reject_id BIGSERIAL PRIMARY KEY,
+    pipeline VARCHAR(50) NOT NULL,
+    run_id UUID NOT NULL,
+    source_row_number INT,
+    stage VARCHAR(20) NOT NULL CHECK (stage IN ('transform', 'load')),
+    payload JSONB NOT NULL,
+    errors JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    replayed_at TIMESTAMP,
+    replay_run_id UUID
+);
+
+CREATE INDEX idx_etl_rejects_pending
+ON etl_rejects(pipeline, created_at)
+WHERE replayed_at IS NULL;
+
+CREATE INDEX idx_etl_rejects_run ON etl_rejects(run_id);
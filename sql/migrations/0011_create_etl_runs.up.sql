@@ -0,0 +1,20 @@
+-- Run history: one row per pipeline execution
+CREATE TABLE etl_runs (
+    run_id UUID PRIMARY KEY,
+    pipeline VARCHAR(50) NOT NULL,
+    source_type VARCHAR(20) NOT NULL,
+    source_location TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'succeeded', 'failed')),
+    started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP,
+    rows_extracted INT,
+    rows_skipped INT,
+    rows_valid INT,
+    rows_rejected INT,
+    rows_failed INT,
+    load_counts JSONB,
+    quality_report JSONB,
+    error_message TEXT
+);
+
+CREATE INDEX idx_etl_runs_pipeline_started ON etl_runs(pipeline, started_at DESC);
@@ -0,0 +1,13 @@
+-- Data quality report history per table, with regressions against the previous successful run
+CREATE TABLE quality_reports (
+    report_id BIGSERIAL PRIMARY KEY,
+    run_id UUID REFERENCES etl_runs(run_id) ON DELETE SET NULL,
+    table_name VARCHAR(100) NOT NULL,
+    passed BOOLEAN NOT NULL,
+    metrics JSONB NOT NULL,
+    report JSONB NOT NULL,
+    regressions JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_quality_reports_table ON quality_reports(table_name, created_at DESC);
@@ -0,0 +1,12 @@
+-- Per-column statistical profiles of loaded tables, with anomalies against earlier profiles
+CREATE TABLE table_profiles (
+    profile_id BIGSERIAL PRIMARY KEY,
+    run_id UUID REFERENCES etl_runs(run_id) ON DELETE SET NULL,
+    table_name VARCHAR(100) NOT NULL,
+    row_count BIGINT NOT NULL,
+    columns JSONB NOT NULL,
+    anomalies JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_table_profiles_table ON table_profiles(table_name, created_at DESC);
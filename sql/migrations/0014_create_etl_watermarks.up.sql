@@ -0,0 +1,8 @@
+-- High-water marks for incremental extraction, one per pipeline
+CREATE TABLE etl_watermarks (
+    pipeline VARCHAR(100) PRIMARY KEY,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('column', 'offset', 'row')),
+    value JSONB NOT NULL,
+    run_id UUID REFERENCES etl_runs(run_id) ON DELETE SET NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
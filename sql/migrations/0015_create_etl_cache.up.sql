@@ -0,0 +1,11 @@
+-- Shared source cache for runners using CACHE_BACKEND=postgres
+CREATE TABLE etl_cache (
+    cache_key VARCHAR(100) PRIMARY KEY,
+    meta JSONB NOT NULL,
+    data BYTEA NOT NULL,
+    bytes INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    accessed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_etl_cache_accessed ON etl_cache(accessed_at);
@@ -0,0 +1,9 @@
+DROP PROCEDURE IF EXISTS normalize_netflix_titles(VARCHAR[]);
+DROP VIEW IF EXISTS netflix_credits;
+DROP TABLE IF EXISTS netflix_title_genres;
+DROP TABLE IF EXISTS netflix_genres;
+DROP TABLE IF EXISTS netflix_title_countries;
+DROP TABLE IF EXISTS netflix_countries;
+DROP TABLE IF EXISTS netflix_title_people;
+DROP TABLE IF EXISTS netflix_people;
+DROP TABLE IF EXISTS netflix_titles;
@@ -0,0 +1,155 @@
+-- Normalized Netflix catalogue, derived from the flat netflix table (which stays as loaded).
+-- Titles get a real date_added DATE and split durations; directors and cast become people
+-- linked through a role bridge, and countries and genres become lookup tables.
+
+CREATE TABLE netflix_titles (
+    show_id VARCHAR(10) PRIMARY KEY REFERENCES netflix(show_id) ON DELETE CASCADE,
+    type VARCHAR(20),
+    title VARCHAR(255),
+    date_added DATE,
+    release_year INT,
+    rating VARCHAR(20),
+    duration_minutes INT,   -- movies
+    season_count INT,       -- TV shows
+    description TEXT
+);
+
+CREATE TABLE netflix_people (
+    person_id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL UNIQUE
+);
+
+CREATE TABLE netflix_title_people (
+    show_id VARCHAR(10) NOT NULL REFERENCES netflix_titles(show_id) ON DELETE CASCADE,
+    person_id INT NOT NULL REFERENCES netflix_people(person_id),
+    role VARCHAR(10) NOT NULL CHECK (role IN ('director', 'cast')),
+    billing_order INT NOT NULL,
+    PRIMARY KEY (show_id, person_id, role)
+);
+
+CREATE TABLE netflix_countries (
+    country_id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE
+);
+
+CREATE TABLE netflix_title_countries (
+    show_id VARCHAR(10) NOT NULL REFERENCES netflix_titles(show_id) ON DELETE CASCADE,
+    country_id INT NOT NULL REFERENCES netflix_countries(country_id),
+    PRIMARY KEY (show_id, country_id)
+);
+
+CREATE TABLE netflix_genres (
+    genre_id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE
+);
+
+CREATE TABLE netflix_title_genres (
+    show_id VARCHAR(10) NOT NULL REFERENCES netflix_titles(show_id) ON DELETE CASCADE,
+    genre_id INT NOT NULL REFERENCES netflix_genres(genre_id),
+    PRIMARY KEY (show_id, genre_id)
+);
+
+CREATE INDEX idx_netflix_title_people_person ON netflix_title_people(person_id);
+CREATE INDEX idx_netflix_title_countries_country ON netflix_title_countries(country_id);
+CREATE INDEX idx_netflix_title_genres_genre ON netflix_title_genres(genre_id);
+
+-- Directors and cast of every flat row: one row per listed name, with its position in the list
+CREATE VIEW netflix_credits AS
+SELECT n.show_id, btrim(c.name) AS name, c.role, c.billing_order
+FROM netflix n
+CROSS JOIN LATERAL (
+    SELECT d.name, 'director' AS role, d.ord AS billing_order
+    FROM unnest(string_to_array(n.director, ',')) WITH ORDINALITY AS d(name, ord)
+    UNION ALL
+    SELECT m.name, 'cast', m.ord
+    FROM unnest(string_to_array(n.cast_members, ',')) WITH ORDINALITY AS m(name, ord)
+) c
+WHERE btrim(c.name) <> '';
+
+-- Rebuild the normalized rows of the given titles from the flat table.
+-- Idempotent: a title's links are replaced, so re-running leaves the same rows.
+CREATE OR REPLACE PROCEDURE normalize_netflix_titles(p_show_ids VARCHAR[])
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    INSERT INTO netflix_titles (
+        show_id, type, title, date_added, release_year, rating,
+        duration_minutes, season_count, description
+    )
+    SELECT
+        n.show_id,
+        NULLIF(n.type, ''),
+        NULLIF(n.title, ''),
+        -- "September 25, 2021"; anything else is left NULL rather than failing the load
+        CASE WHEN btrim(n.date_added) ~ '^[A-Za-z]+ [0-9]{1,2}, [0-9]{4}$'
+            THEN to_date(btrim(n.date_added), 'FMMonth DD, YYYY') END,
+        n.release_year,
+        NULLIF(n.rating, ''),
+        substring(n.duration from '^([0-9]+) min$')::INT,
+        substring(n.duration from '^([0-9]+) Seasons?$')::INT,
+        NULLIF(n.description, '')
+    FROM netflix n
+    WHERE n.show_id = ANY(p_show_ids)
+    ON CONFLICT (show_id) DO UPDATE SET
+        type = EXCLUDED.type,
+        title = EXCLUDED.title,
+        date_added = EXCLUDED.date_added,
+        release_year = EXCLUDED.release_year,
+        rating = EXCLUDED.rating,
+        duration_minutes = EXCLUDED.duration_minutes,
+        season_count = EXCLUDED.season_count,
+        description = EXCLUDED.description;
+
+    DELETE FROM netflix_title_people WHERE show_id = ANY(p_show_ids);
+    DELETE FROM netflix_title_countries WHERE show_id = ANY(p_show_ids);
+    DELETE FROM netflix_title_genres WHERE show_id = ANY(p_show_ids);
+
+    -- People: directors and cast
+    INSERT INTO netflix_people (name)
+    SELECT DISTINCT name FROM netflix_credits WHERE show_id = ANY(p_show_ids)
+    ON CONFLICT (name) DO NOTHING;
+
+    -- A name listed twice in one role keeps its first position
+    INSERT INTO netflix_title_people (show_id, person_id, role, billing_order)
+    SELECT c.show_id, p.person_id, c.role, MIN(c.billing_order)
+    FROM netflix_credits c
+    JOIN netflix_people p ON p.name = c.name
+    WHERE c.show_id = ANY(p_show_ids)
+    GROUP BY c.show_id, p.person_id, c.role;
+
+    -- Countries
+    INSERT INTO netflix_countries (name)
+    SELECT DISTINCT btrim(c.name)
+    FROM netflix n, unnest(string_to_array(n.country, ',')) AS c(name)
+    WHERE n.show_id = ANY(p_show_ids) AND btrim(c.name) <> ''
+    ON CONFLICT (name) DO NOTHING;
+
+    INSERT INTO netflix_title_countries (show_id, country_id)
+    SELECT DISTINCT n.show_id, nc.country_id
+    FROM netflix n, unnest(string_to_array(n.country, ',')) AS c(name)
+    JOIN netflix_countries nc ON nc.name = btrim(c.name)
+    WHERE n.show_id = ANY(p_show_ids);
+
+    -- Genres
+    INSERT INTO netflix_genres (name)
+    SELECT DISTINCT btrim(g.name)
+    FROM netflix n, unnest(string_to_array(n.listed_in, ',')) AS g(name)
+    WHERE n.show_id = ANY(p_show_ids) AND btrim(g.name) <> ''
+    ON CONFLICT (name) DO NOTHING;
+
+    INSERT INTO netflix_title_genres (show_id, genre_id)
+    SELECT DISTINCT n.show_id, ng.genre_id
+    FROM netflix n, unnest(string_to_array(n.listed_in, ',')) AS g(name)
+    JOIN netflix_genres ng ON ng.name = btrim(g.name)
+    WHERE n.show_id = ANY(p_show_ids);
+END;
+$$;
+
+-- Backfill titles that were loaded before this migration
+DO $$
+DECLARE
+    v_show_ids VARCHAR[] := ARRAY(SELECT show_id FROM netflix);
+BEGIN
+    CALL normalize_netflix_titles(v_show_ids);
+END;
+$$;
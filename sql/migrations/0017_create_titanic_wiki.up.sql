@@ -0,0 +1,17 @@
+-- Encyclopedia Titanica enrichment for passengers, kept apart from the Kaggle base columns.
+-- Passengers without a wiki match have no row here.
+
+CREATE TABLE titanic_wiki (
+    passenger_id INT PRIMARY KEY REFERENCES titanic(passenger_id) ON DELETE CASCADE,
+    wiki_id INT,
+    name_wiki VARCHAR(255),
+    age_wiki FLOAT,
+    hometown VARCHAR(255),
+    boarded VARCHAR(50),
+    destination VARCHAR(255),
+    lifeboat VARCHAR(20),
+    body VARCHAR(20),       -- body identification number, for victims who were recovered
+    wiki_class INT
+);
+
+CREATE INDEX idx_titanic_wiki_wiki_id ON titanic_wiki(wiki_id);
@@ -0,0 +1,3 @@
+-- NULLs written since the up migration are kept
+ALTER TABLE netflix DROP COLUMN IF EXISTS imputed_columns;
+ALTER TABLE titanic DROP COLUMN IF EXISTS imputed_columns;
@@ -0,0 +1,33 @@
+-- Unknown values are stored as NULL; columns filled by a pipeline's imputation policy are listed per row.
+
+ALTER TABLE titanic ADD COLUMN imputed_columns TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE netflix ADD COLUMN imputed_columns TEXT[] NOT NULL DEFAULT '{}';
+
+-- Missing text used to be stored as ''. Defaulted numbers (survived 0, pclass 3, fare 0)
+-- cannot be told apart from real values here; a --full-refresh load of titanic restores them.
+UPDATE netflix SET
+    type = NULLIF(type, ''),
+    title = NULLIF(title, ''),
+    director = NULLIF(director, ''),
+    cast_members = NULLIF(cast_members, ''),
+    country = NULLIF(country, ''),
+    date_added = NULLIF(date_added, ''),
+    rating = NULLIF(rating, ''),
+    duration = NULLIF(duration, ''),
+    listed_in = NULLIF(listed_in, ''),
+    description = NULLIF(description, '');
+
+UPDATE titanic SET
+    name = NULLIF(name, ''),
+    sex = NULLIF(sex, ''),
+    ticket = NULLIF(ticket, ''),
+    cabin = NULLIF(cabin, ''),
+    embarked = NULLIF(embarked, '');
+
+UPDATE titanic_wiki SET
+    name_wiki = NULLIF(name_wiki, ''),
+    hometown = NULLIF(hometown, ''),
+    boarded = NULLIF(boarded, ''),
+    destination = NULLIF(destination, ''),
+    lifeboat = NULLIF(lifeboat, ''),
+    body = NULLIF(body, '');
@@ -0,0 +1,9 @@
+-- Keep the most recently updated mark of each pipeline
+DELETE FROM etl_watermarks w
+USING etl_watermarks newer
+WHERE newer.pipeline = w.pipeline
+  AND (newer.updated_at, newer.source) > (w.updated_at, w.source);
+
+ALTER TABLE etl_watermarks DROP CONSTRAINT etl_watermarks_pkey;
+ALTER TABLE etl_watermarks DROP COLUMN source;
+ALTER TABLE etl_watermarks ADD PRIMARY KEY (pipeline);
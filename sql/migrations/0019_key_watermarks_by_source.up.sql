@@ -0,0 +1,8 @@
+-- A mark only describes the source it was taken from (the same pipeline can read
+-- a sheet, a CSV or a JSON file), so marks are keyed by pipeline and source identity.
+-- Existing marks do not record their source; they are kept under '' and never match,
+-- so the next run of each pipeline reads its whole source once.
+ALTER TABLE etl_watermarks ADD COLUMN source VARCHAR(500) NOT NULL DEFAULT '';
+ALTER TABLE etl_watermarks ALTER COLUMN source DROP DEFAULT;
+ALTER TABLE etl_watermarks DROP CONSTRAINT etl_watermarks_pkey;
+ALTER TABLE etl_watermarks ADD PRIMARY KEY (pipeline, source);
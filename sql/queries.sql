@@ -31,4 +31,15 @@ WHERE student_id IN (
     FROM enrollments 
     GROUP BY student_id 
     HAVING COUNT(course_id) < 2
-);
\ No newline at end of file
+);
+
+-- 4. Normalized Netflix: Most Prolific Directors by Genre
+SELECT g.name AS genre, p.name AS director, COUNT(*) AS titles
+FROM netflix_title_people tp
+JOIN netflix_people p ON p.person_id = tp.person_id
+JOIN netflix_title_genres tg ON tg.show_id = tp.show_id
+JOIN netflix_genres g ON g.genre_id = tg.genre_id
+WHERE tp.role = 'director'
+GROUP BY g.name, p.name
+HAVING COUNT(*) >= 5
+ORDER BY titles DESC;
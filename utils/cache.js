@@ -1,84 +1,98 @@
-const fs = require('fs');
-const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
 const config = require('../config/config');
 const logger = require('./logger');
+const { BACKENDS } = require('./cache_backends');
 
-const CACHE_DIR = path.join(__dirname, '..', '.cache');
+let backend = null;
 
 /**
- * Ensure cache directory exists
+ * Get the configured cache backend (CACHE_BACKEND: fs, memory or postgres)
  */
-function ensureCacheDir() {
-    if (!fs.existsSync(CACHE_DIR)) {
-        fs.mkdirSync(CACHE_DIR, { recursive: true });
+function getBackend() {
+    const name = config.etl.cacheBackend;
+
+    if (!backend || backend.name !== name) {
+        if (!BACKENDS[name]) {
+            throw new Error(`Unknown cache backend '${name}' (available: ${Object.keys(BACKENDS).join(', ')})`);
+        }
+        backend = BACKENDS[name]();
     }
-}
 
-/**
- * Generate cache key from identifier
- */
-function getCacheKey(identifier) {
-    return identifier.replace(/[^a-zA-Z0-9_-]/g, '_');
+    return backend;
 }
 
 /**
- * Get cache file path
+ * Generate cache key from a source identity
+ *
+ * A readable tail of the identity plus a hash of all of it, so identities that
+ * differ only in punctuation never share an entry.
  */
-function getCachePath(key) {
-    return path.join(CACHE_DIR, `${getCacheKey(key)}.json`);
+function getCacheKey(identifier) {
+    const readable = identifier.replace(/[^a-zA-Z0-9_-]/g, '_').slice(-40);
+    const digest = crypto.createHash('sha256').update(identifier).digest('hex').slice(0, 12);
+    return `${readable}-${digest}`;
 }
 
 /**
- * Check if cache exists and is valid
+ * Check an entry against the current source fingerprint and the maximum age
  */
-function isCacheValid(key) {
-    if (!config.etl.enableCaching) {
+function isEntryValid(key, meta, fingerprint) {
+    if (JSON.stringify(meta.fingerprint) !== JSON.stringify(fingerprint)) {
+        logger.info(`Source changed since cache entry ${key} was written`);
         return false;
     }
 
-    const cachePath = getCachePath(key);
+    const cacheAge = Date.now() - Date.parse(meta.createdAt);
+    const maxAge = config.etl.cacheExpiryMinutes * 60 * 1000;
 
-    if (!fs.existsSync(cachePath)) {
+    if (!(cacheAge <= maxAge)) {
+        logger.debug(`Cache expired for key: ${key}`);
         return false;
     }
 
-    try {
-        const stats = fs.statSync(cachePath);
-        const cacheAge = Date.now() - stats.mtimeMs;
-        const maxAge = config.etl.cacheExpiryMinutes * 60 * 1000;
-
-        if (cacheAge > maxAge) {
-            logger.debug(`Cache expired for key: ${key}`);
-            return false;
-        }
+    return true;
+}
 
-        logger.debug(`Cache valid for key: ${key}`);
-        return true;
-    } catch (err) {
-        logger.warn(`Error checking cache validity for ${key}:`, err);
+/**
+ * Check if a cache entry exists and still matches its source
+ */
+async function isCacheValid(key, fingerprint) {
+    if (!config.etl.enableCaching) {
         return false;
     }
+
+    const entry = await getBackend().get(getCacheKey(key));
+    return entry !== null && isEntryValid(key, entry.meta, fingerprint);
 }
 
 /**
- * Read from cache
+ * Read cached rows for a source fingerprint
+ *
+ * An entry written for a different fingerprint (the source has changed since)
+ * or older than CACHE_EXPIRY_MINUTES is removed and null is returned. Backend
+ * errors are logged and count as a miss.
  */
-function readCache(key) {
+async function readCache(key, fingerprint) {
     if (!config.etl.enableCaching) {
         return null;
     }
 
-    if (!isCacheValid(key)) {
-        return null;
-    }
+    try {
+        const entry = await getBackend().get(getCacheKey(key));
 
-    const cachePath = getCachePath(key);
+        if (!entry) {
+            return null;
+        }
 
-    try {
-        const data = fs.readFileSync(cachePath, 'utf8');
-        const parsed = JSON.parse(data);
-        logger.info(`Cache hit for key: ${key}`);
-        return parsed;
+        if (!isEntryValid(key, entry.meta, fingerprint)) {
+            await invalidateCache(key);
+            return null;
+        }
+
+        const json = entry.meta.compression === 'gzip' ? zlib.gunzipSync(entry.data) : entry.data;
+        logger.info(`Cache hit for key: ${key} (${entry.meta.rowCount} rows, written ${entry.meta.createdAt})`);
+        return JSON.parse(json.toString('utf8'));
     } catch (err) {
         logger.warn(`Error reading cache for ${key}:`, err);
         return null;
@@ -86,96 +100,118 @@ function readCache(key) {
 }
 
 /**
- * Write to cache
+ * Evict least recently used entries until the cache is within CACHE_MAX_ENTRIES and CACHE_MAX_BYTES
  */
-function writeCache(key, data) {
-    if (!config.etl.enableCaching) {
-        return;
-    }
-
-    ensureCacheDir();
-    const cachePath = getCachePath(key);
+async function evict(store) {
+    const { cacheMaxEntries, cacheMaxBytes } = config.etl;
+    const entries = (await store.list()).sort((a, b) => new Date(a.accessedAt) - new Date(b.accessedAt));
+    let totalBytes = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+    let count = entries.length;
+
+    for (const entry of entries) {
+        if (count <= cacheMaxEntries && totalBytes <= cacheMaxBytes) {
+            break;
+        }
 
-    try {
-        fs.writeFileSync(cachePath, JSON.stringify(data, null, 2), 'utf8');
-        logger.info(`Cache written for key: ${key}`);
-    } catch (err) {
-        logger.error(`Error writing cache for ${key}:`, err);
+        await store.delete(entry.key);
+        count--;
+        totalBytes -= entry.bytes;
+        logger.info(`Cache evicted ${entry.meta.source || entry.key} (${entry.bytes} bytes)`);
     }
 }
 
 /**
- * Invalidate cache for a specific key
+ * Write rows to cache with their metadata, then evict down to the size limits
+ *
+ * meta.source      - the source identity (defaults to the key)
+ * meta.fingerprint - the source's content fingerprint when it was read
+ *
+ * Rows are stored as compact JSON, gzipped when CACHE_COMPRESS is set. An
+ * entry larger than CACHE_MAX_BYTES on its own is not cached.
  */
-function invalidateCache(key) {
-    const cachePath = getCachePath(key);
+async function writeCache(key, rows, meta = {}) {
+    if (!config.etl.enableCaching) {
+        return;
+    }
 
     try {
-        if (fs.existsSync(cachePath)) {
-            fs.unlinkSync(cachePath);
-            logger.info(`Cache invalidated for key: ${key}`);
+        const store = getBackend();
+        const json = Buffer.from(JSON.stringify(rows), 'utf8');
+        const compression = config.etl.cacheCompress ? 'gzip' : null;
+        const data = compression ? zlib.gzipSync(json) : json;
+
+        if (data.length > config.etl.cacheMaxBytes) {
+            logger.warn(`Not caching ${key}: ${data.length} bytes exceeds CACHE_MAX_BYTES (${config.etl.cacheMaxBytes})`);
+            return;
         }
+
+        await store.set(getCacheKey(key), {
+            key: getCacheKey(key),
+            source: meta.source || key,
+            fingerprint: meta.fingerprint || null,
+            createdAt: new Date().toISOString(),
+            rowCount: rows.length,
+            compression,
+            rawBytes: json.length
+        }, data);
+        logger.info(`Cache written for key: ${key} (${data.length} bytes${compression ? ', gzip' : ''})`);
+
+        await evict(store);
     } catch (err) {
-        logger.error(`Error invalidating cache for ${key}:`, err);
+        logger.error(`Error writing cache for ${key}:`, err);
     }
 }
 
 /**
- * Clear all cache
+ * Invalidate the cache entry of a source identity (or a stored cache key); returns whether one was removed
  */
-function clearAllCache() {
-    ensureCacheDir();
-
-    try {
-        const files = fs.readdirSync(CACHE_DIR);
+async function invalidateCache(key) {
+    const store = getBackend();
+    const removed = await store.delete(getCacheKey(key)) || await store.delete(key);
 
-        for (const file of files) {
-            if (file.endsWith('.json')) {
-                fs.unlinkSync(path.join(CACHE_DIR, file));
-            }
-        }
-
-        logger.info('All cache cleared');
-    } catch (err) {
-        logger.error('Error clearing cache:', err);
+    if (removed) {
+        logger.info(`Cache invalidated for key: ${key}`);
     }
+
+    return removed;
 }
 
 /**
- * Get cache statistics
+ * Clear all cache; returns the number of entries removed
  */
-function getCacheStats() {
-    ensureCacheDir();
-
-    try {
-        const files = fs.readdirSync(CACHE_DIR);
-        const cacheFiles = files.filter(f => f.endsWith('.json'));
-
-        const stats = {
-            totalFiles: cacheFiles.length,
-            files: []
-        };
-
-        for (const file of cacheFiles) {
-            const filePath = path.join(CACHE_DIR, file);
-            const fileStats = fs.statSync(filePath);
-
-            stats.files.push({
-                name: file,
-                size: fileStats.size,
-                modified: fileStats.mtime,
-                age: Date.now() - fileStats.mtimeMs
-            });
-        }
+async function clearAllCache() {
+    const count = await getBackend().clear();
+    logger.info(`All cache cleared (${count} entries)`);
+    return count;
+}
 
-        return stats;
-    } catch (err) {
-        logger.error('Error getting cache stats:', err);
-        return null;
-    }
+/**
+ * Get cache statistics: totals against the limits, and the entries, most recently used first
+ */
+async function getCacheStats() {
+    const store = getBackend();
+    const entries = (await store.list()).sort((a, b) => new Date(b.accessedAt) - new Date(a.accessedAt));
+
+    return {
+        backend: store.name,
+        totalEntries: entries.length,
+        totalBytes: entries.reduce((sum, entry) => sum + entry.bytes, 0),
+        maxEntries: config.etl.cacheMaxEntries,
+        maxBytes: config.etl.cacheMaxBytes,
+        entries: entries.map(({ key, meta, bytes, accessedAt }) => ({
+            key,
+            source: meta.source,
+            rowCount: meta.rowCount,
+            bytes,
+            compression: meta.compression || null,
+            createdAt: meta.createdAt,
+            accessedAt: new Date(accessedAt).toISOString()
+        }))
+    };
 }
 
 module.exports = {
+    getCacheKey,
     isCacheValid,
     readCache,
     writeCache,
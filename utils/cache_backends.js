@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+const { queryWithRetry } = require('./db');
+
+const CACHE_DIR = path.join(__dirname, '..', '.cache');
+
+/**
+ * Cache backends store opaque payloads with their metadata. Every backend
+ * implements the same async interface:
+ *
+ *   get(key)             → { meta, data } or null; marks the entry as used
+ *   set(key, meta, data) → store or replace an entry (data is a Buffer)
+ *   delete(key)          → whether an entry was removed
+ *   clear()              → number of entries removed
+ *   list()               → [{ key, meta, bytes, accessedAt }]
+ *
+ * Eviction is done by utils/cache.js on top of list() and delete().
+ */
+
+/**
+ * Files in a directory: <key>.meta.json (metadata, its mtime is the last access) and <key>.data
+ */
+function createFsBackend(dir = CACHE_DIR) {
+    const metaPath = key => path.join(dir, `${key}.meta.json`);
+    const dataPath = key => path.join(dir, `${key}.data`);
+
+    const unlinkIfExists = async (filePath) => {
+        try {
+            await fs.promises.unlink(filePath);
+            return true;
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return false;
+            }
+            throw err;
+        }
+    };
+
+    return {
+        name: 'fs',
+
+        async get(key) {
+            try {
+                const meta = JSON.parse(await fs.promises.readFile(metaPath(key), 'utf8'));
+                const data = await fs.promises.readFile(dataPath(key));
+                const now = new Date();
+                await fs.promises.utimes(metaPath(key), now, now);
+                return { meta, data };
+            } catch (err) {
+                if (err.code === 'ENOENT') {
+                    return null;
+                }
+                throw err;
+            }
+        },
+
+        async set(key, meta, data) {
+            await fs.promises.mkdir(dir, { recursive: true });
+            // Data first: an entry only counts once its metadata exists
+            await fs.promises.writeFile(dataPath(key), data);
+            await fs.promises.writeFile(metaPath(key), JSON.stringify(meta), 'utf8');
+        },
+
+        async delete(key) {
+            const removed = await unlinkIfExists(metaPath(key));
+            await unlinkIfExists(dataPath(key));
+            return removed;
+        },
+
+        async clear() {
+            const entries = await this.list();
+            let files = [];
+
+            try {
+                files = await fs.promises.readdir(dir);
+            } catch (err) {
+                if (err.code !== 'ENOENT') {
+                    throw err;
+                }
+            }
+
+            // Also removes orphaned data files and entries in older layouts
+            for (const file of files.filter(f => f.endsWith('.json') || f.endsWith('.data'))) {
+                await unlinkIfExists(path.join(dir, file));
+            }
+
+            return entries.length;
+        },
+
+        async list() {
+            let files;
+
+            try {
+                files = await fs.promises.readdir(dir);
+            } catch (err) {
+                if (err.code === 'ENOENT') {
+                    return [];
+                }
+                throw err;
+            }
+
+            const entries = [];
+
+            for (const file of files.filter(f => f.endsWith('.meta.json'))) {
+                const key = file.slice(0, -'.meta.json'.length);
+
+                try {
+                    const metaStats = await fs.promises.stat(metaPath(key));
+                    const dataStats = await fs.promises.stat(dataPath(key));
+                    const meta = JSON.parse(await fs.promises.readFile(metaPath(key), 'utf8'));
+                    entries.push({ key, meta, bytes: dataStats.size, accessedAt: metaStats.mtime });
+                } catch (err) {
+                    // Removed or half-written by another run in the meantime
+                    if (err.code !== 'ENOENT' && !(err instanceof SyntaxError)) {
+                        throw err;
+                    }
+                }
+            }
+
+            return entries;
+        }
+    };
+}
+
+/**
+ * An in-process LRU map; entries last as long as the process
+ */
+function createMemoryBackend() {
+    // Map iteration order is insertion order, so re-inserting on access keeps it least recently used first
+    const entries = new Map();
+
+    return {
+        name: 'memory',
+
+        async get(key) {
+            const entry = entries.get(key);
+
+            if (!entry) {
+                return null;
+            }
+
+            entries.delete(key);
+            entry.accessedAt = new Date();
+            entries.set(key, entry);
+            return { meta: entry.meta, data: entry.data };
+        },
+
+        async set(key, meta, data) {
+            entries.delete(key);
+            entries.set(key, { meta, data, accessedAt: new Date() });
+        },
+
+        async delete(key) {
+            return entries.delete(key);
+        },
+
+        async clear() {
+            const count = entries.size;
+            entries.clear();
+            return count;
+        },
+
+        async list() {
+            return [...entries].map(([key, { meta, data, accessedAt }]) => ({ key, meta, bytes: data.length, accessedAt }));
+        }
+    };
+}
+
+/**
+ * The etl_cache table, shared by every runner using the same database
+ */
+function createPostgresBackend() {
+    return {
+        name: 'postgres',
+
+        async get(key) {
+            const result = await queryWithRetry(
+                `UPDATE etl_cache SET accessed_at = CURRENT_TIMESTAMP
+         WHERE cache_key = $1
+         RETURNING meta, data`,
+                [key]
+            );
+
+            return result.rows[0] || null;
+        },
+
+        async set(key, meta, data) {
+            await queryWithRetry(
+                `INSERT INTO etl_cache (cache_key, meta, data, bytes)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (cache_key) DO UPDATE SET
+           meta = EXCLUDED.meta,
+           data = EXCLUDED.data,
+           bytes = EXCLUDED.bytes,
+           created_at = CURRENT_TIMESTAMP,
+           accessed_at = CURRENT_TIMESTAMP`,
+                [key, JSON.stringify(meta), data, data.length]
+            );
+        },
+
+        async delete(key) {
+            const result = await queryWithRetry('DELETE FROM etl_cache WHERE cache_key = $1', [key]);
+            return result.rowCount > 0;
+        },
+
+        async clear() {
+            const result = await queryWithRetry('DELETE FROM etl_cache');
+            return result.rowCount;
+        },
+
+        async list() {
+            const result = await queryWithRetry(
+                'SELECT cache_key AS key, meta, bytes, accessed_at AS "accessedAt" FROM etl_cache ORDER BY accessed_at'
+            );
+
+            return result.rows;
+        }
+    };
+}
+
+const BACKENDS = {
+    fs: createFsBackend,
+    memory: createMemoryBackend,
+    postgres: createPostgresBackend
+};
+
+module.exports = {
+    BACKENDS,
+    createFsBackend,
+    createMemoryBackend,
+    createPostgresBackend
+};
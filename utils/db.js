@@ -1,6 +1,7 @@
 const { Pool } = require('pg');
 const config = require('../config/config');
 const logger = require('./logger');
+const { quoteIdentifier, quoteTable, assertColumns, parseConflictAction, buildConflictClause } = require('./sql');
 
 let pool = null;
 
@@ -115,14 +116,11 @@ async function executeTransaction(callback) {
 }
 
 /**
- * Batch insert with transaction support
+ * Build a multi-row parameterized INSERT statement
+ *
+ * Table and column names are validated and quoted; conflictClause is trusted SQL.
  */
-async function batchInsert(tableName, columns, values, conflictAction = 'DO NOTHING') {
-    if (!values || values.length === 0) {
-        logger.warn('No values provided for batch insert');
-        return { rowCount: 0 };
-    }
-
+function buildInsertQuery(tableName, columns, values, conflictClause = '') {
     const columnCount = columns.length;
     const placeholders = [];
     const flatValues = [];
@@ -137,14 +135,38 @@ async function batchInsert(tableName, columns, values, conflictAction = 'DO NOTH
         placeholders.push(`(${rowPlaceholders.join(', ')})`);
     });
 
-    const query = `
-    INSERT INTO ${tableName} (${columns.join(', ')})
+    const text = `
+    INSERT INTO ${quoteTable(tableName)} (${columns.map(column => quoteIdentifier(column)).join(', ')})
     VALUES ${placeholders.join(', ')}
-    ON CONFLICT ${conflictAction}
+    ${conflictClause}
   `;
 
+    return { text, values: flatValues };
+}
+
+/**
+ * Batch insert with transaction support
+ *
+ * conflictAction follows the grammar of parseConflictAction in utils/sql.js;
+ * the table and every column are checked against the catalog before inserting.
+ */
+async function batchInsert(tableName, columns, values, conflictAction = 'DO NOTHING') {
+    if (!values || values.length === 0) {
+        logger.warn('No values provided for batch insert');
+        return { rowCount: 0 };
+    }
+
+    const conflict = parseConflictAction(conflictAction);
+    await assertColumns(getPool(), tableName, [
+        ...columns,
+        ...conflict.target,
+        ...conflict.update.flatMap(({ column, source }) => [column, source])
+    ]);
+
+    const query = buildInsertQuery(tableName, columns, values, buildConflictClause(conflict));
+
     try {
-        const result = await queryWithRetry(query, flatValues);
+        const result = await queryWithRetry(query.text, query.values);
         logger.info(`Batch inserted ${result.rowCount} rows into ${tableName}`);
         return result;
     } catch (err) {
@@ -169,6 +191,7 @@ module.exports = {
     getPool,
     queryWithRetry,
     executeTransaction,
+    buildInsertQuery,
     batchInsert,
     closePool
 };
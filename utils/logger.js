@@ -1,6 +1,7 @@
 const winston = require('winston');
 const path = require('path');
 const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
 const config = require('../config/config');
 
 // Ensure logs directory exists
@@ -9,8 +10,17 @@ if (!fs.existsSync(logsDir)) {
     fs.mkdirSync(logsDir, { recursive: true });
 }
 
+// Context (e.g. the pipeline run id) attached to every log line within runWithContext()
+const logContext = new AsyncLocalStorage();
+
+const addContext = winston.format((info) => {
+    const context = logContext.getStore();
+    return context ? Object.assign(info, context) : info;
+});
+
 // Define log format
 const logFormat = winston.format.combine(
+    addContext(),
     winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
     winston.format.errors({ stack: true }),
     winston.format.splat(),
@@ -19,10 +29,12 @@ const logFormat = winston.format.combine(
 
 // Define console format for development
 const consoleFormat = winston.format.combine(
+    addContext(),
     winston.format.colorize(),
     winston.format.timestamp({ format: 'HH:mm:ss' }),
-    winston.format.printf(({ timestamp, level, message, ...meta }) => {
-        let msg = `${timestamp} [${level}]: ${message}`;
+    winston.format.printf(({ timestamp, level, message, runId, ...meta }) => {
+        const run = runId ? ` [run ${runId.substring(0, 8)}]` : '';
+        let msg = `${timestamp} [${level}]${run}: ${message}`;
         if (Object.keys(meta).length > 0) {
             msg += ` ${JSON.stringify(meta)}`;
         }
@@ -58,4 +70,20 @@ if (config.isDevelopment) {
     }));
 }
 
+/**
+ * Run callback with context fields added to every log line it produces
+ */
+logger.runWithContext = (context, callback) => logContext.run(context, callback);
+
+/**
+ * Send console log lines to stderr, leaving stdout for machine-readable output
+ */
+logger.useStderr = () => {
+    for (const transport of logger.transports) {
+        if (transport instanceof winston.transports.Console) {
+            transport.stderrLevels = Object.fromEntries(Object.keys(logger.levels).map(level => [level, true]));
+        }
+    }
+};
+
 module.exports = logger;
@@ -0,0 +1,352 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { getPool } = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'sql', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Arbitrary but stable key shared by every runner pointed at the same database
+const MIGRATION_LOCK_KEY = 48151623;
+
+/**
+ * Compute SHA-256 checksum of a migration file's contents
+ */
+function computeChecksum(contents) {
+    return crypto.createHash('sha256').update(contents, 'utf8').digest('hex');
+}
+
+/**
+ * Load migration definitions from disk, ordered by version
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = new Map();
+
+    for (const file of fs.readdirSync(dir)) {
+        const match = file.match(MIGRATION_FILE_PATTERN);
+        if (!match) {
+            continue;
+        }
+
+        const [, version, name, direction] = match;
+
+        if (!migrations.has(version)) {
+            migrations.set(version, { version, name });
+        }
+
+        const migration = migrations.get(version);
+
+        if (migration.name !== name) {
+            throw new Error(`Migration ${version} has conflicting names: ${migration.name} and ${name}`);
+        }
+
+        migration[`${direction}Path`] = path.join(dir, file);
+    }
+
+    return [...migrations.values()]
+        .map(migration => {
+            if (!migration.upPath) {
+                throw new Error(`Migration ${migration.version}_${migration.name} is missing its .up.sql file`);
+            }
+
+            const upSql = fs.readFileSync(migration.upPath, 'utf8');
+
+            return {
+                ...migration,
+                upSql,
+                downSql: migration.downPath ? fs.readFileSync(migration.downPath, 'utf8') : null,
+                checksum: computeChecksum(upSql)
+            };
+        })
+        .sort((a, b) => parseInt(a.version) - parseInt(b.version));
+}
+
+/**
+ * Create the schema_migrations tracking table if needed
+ *
+ * Like the other queries here, it runs on `db`: the pool by default, or the
+ * client holding the migration lock so a runner never needs a second connection.
+ */
+async function ensureMigrationsTable(db = getPool()) {
+    await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      execution_ms INT,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Get applied migrations keyed by version
+ */
+async function getAppliedMigrations(db) {
+    const result = await db.query(
+        'SELECT version, name, checksum, execution_ms, applied_at FROM schema_migrations ORDER BY version'
+    );
+
+    return new Map(result.rows.map(row => [row.version, row]));
+}
+
+/**
+ * Run callback(client) while holding the migration advisory lock on that client
+ */
+async function withMigrationLock(callback) {
+    const client = await getPool().connect();
+
+    try {
+        const result = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [MIGRATION_LOCK_KEY]);
+
+        if (!result.rows[0].locked) {
+            throw new Error('Another migration runner is already in progress (advisory lock is held)');
+        }
+
+        logger.debug('Migration lock acquired');
+
+        try {
+            return await callback(client);
+        } finally {
+            await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+            logger.debug('Migration lock released');
+        }
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Compare migrations on disk with the ones recorded in the database
+ */
+async function getMigrationStatus(db = getPool()) {
+    await ensureMigrationsTable(db);
+
+    const migrations = loadMigrations();
+    const applied = await getAppliedMigrations(db);
+    const status = [];
+
+    for (const migration of migrations) {
+        const record = applied.get(migration.version);
+
+        status.push({
+            version: migration.version,
+            name: migration.name,
+            state: !record ? 'pending' : record.checksum === migration.checksum ? 'applied' : 'drifted',
+            appliedAt: record ? record.applied_at : null
+        });
+
+        applied.delete(migration.version);
+    }
+
+    // Applied in the database but no longer on disk
+    for (const record of applied.values()) {
+        status.push({
+            version: record.version,
+            name: record.name,
+            state: 'missing',
+            appliedAt: record.applied_at
+        });
+    }
+
+    return status.sort((a, b) => parseInt(a.version) - parseInt(b.version));
+}
+
+/**
+ * Refuse to migrate when applied files have been edited or removed
+ */
+function assertNoDrift(status) {
+    const drifted = status.filter(s => s.state === 'drifted' || s.state === 'missing');
+
+    if (drifted.length > 0) {
+        const details = drifted.map(s => `${s.version}_${s.name} (${s.state})`).join(', ');
+        throw new Error(`Applied migrations do not match files on disk: ${details}`);
+    }
+}
+
+/**
+ * Run callback inside a transaction on an already checked-out client
+ */
+async function inTransaction(client, callback) {
+    await client.query('BEGIN');
+
+    try {
+        await callback();
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    }
+}
+
+/**
+ * Apply a single migration inside a transaction
+ */
+async function applyMigration(client, migration) {
+    const startTime = Date.now();
+
+    await inTransaction(client, async () => {
+        await client.query(migration.upSql);
+        await client.query(
+            `INSERT INTO schema_migrations (version, name, checksum, execution_ms)
+       VALUES ($1, $2, $3, $4)`,
+            [migration.version, migration.name, migration.checksum, Date.now() - startTime]
+        );
+    });
+
+    logger.info(`Applied migration ${migration.version}_${migration.name} (${Date.now() - startTime}ms)`);
+}
+
+/**
+ * Revert a single migration inside a transaction
+ */
+async function revertMigration(client, migration) {
+    if (!migration.downSql) {
+        throw new Error(`Migration ${migration.version}_${migration.name} has no .down.sql file`);
+    }
+
+    await inTransaction(client, async () => {
+        await client.query(migration.downSql);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    });
+
+    logger.info(`Reverted migration ${migration.version}_${migration.name}`);
+}
+
+/**
+ * Apply pending migrations up to an optional target version (caller holds the lock)
+ */
+async function applyPending(client, target) {
+    const status = await getMigrationStatus(client);
+    assertNoDrift(status);
+
+    const pendingVersions = new Set(status.filter(s => s.state === 'pending').map(s => s.version));
+    const pending = loadMigrations().filter(m =>
+        pendingVersions.has(m.version) &&
+        (!target || parseInt(m.version) <= parseInt(target))
+    );
+
+    if (pending.length === 0) {
+        logger.info('Database schema is up to date');
+        return [];
+    }
+
+    for (const migration of pending) {
+        await applyMigration(client, migration);
+    }
+
+    return pending.map(m => m.version);
+}
+
+/**
+ * Revert the most recently applied migrations (caller holds the lock)
+ */
+async function revertApplied(client, steps) {
+    const status = await getMigrationStatus(client);
+    assertNoDrift(status);
+
+    const migrations = new Map(loadMigrations().map(m => [m.version, m]));
+    const toRevert = status
+        .filter(s => s.state === 'applied')
+        .reverse()
+        .slice(0, steps)
+        .map(s => migrations.get(s.version));
+
+    if (toRevert.length === 0) {
+        logger.info('No applied migrations to revert');
+        return [];
+    }
+
+    for (const migration of toRevert) {
+        await revertMigration(client, migration);
+    }
+
+    return toRevert.map(m => m.version);
+}
+
+/**
+ * Record pending migrations up to a target version as applied, without running them (caller holds the lock)
+ *
+ * For databases whose schema was built by running the old sql/*.sql scripts by hand.
+ */
+async function recordBaseline(client, target) {
+    const status = await getMigrationStatus(client);
+    assertNoDrift(status);
+
+    if (!status.some(s => parseInt(s.version) === parseInt(target))) {
+        throw new Error(`No migration with version ${target}`);
+    }
+
+    const pendingVersions = new Set(status.filter(s => s.state === 'pending').map(s => s.version));
+    const baseline = loadMigrations().filter(m =>
+        pendingVersions.has(m.version) && parseInt(m.version) <= parseInt(target)
+    );
+
+    await inTransaction(client, async () => {
+        for (const migration of baseline) {
+            await client.query(
+                'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+                [migration.version, migration.name, migration.checksum]
+            );
+        }
+    });
+
+    for (const migration of baseline) {
+        logger.info(`Recorded migration ${migration.version}_${migration.name} as applied (not run)`);
+    }
+
+    return baseline.map(m => m.version);
+}
+
+/**
+ * Apply pending migrations, optionally up to a target version
+ */
+async function migrateUp(options = {}) {
+    return withMigrationLock(client => applyPending(client, options.target));
+}
+
+/**
+ * Revert the most recently applied migrations
+ */
+async function migrateDown(options = {}) {
+    return withMigrationLock(client => revertApplied(client, options.steps || 1));
+}
+
+/**
+ * Revert and re-apply the most recently applied migrations
+ */
+async function migrateRedo(options = {}) {
+    return withMigrationLock(async (client) => {
+        const reverted = await revertApplied(client, options.steps || 1);
+
+        if (reverted.length === 0) {
+            return [];
+        }
+
+        return applyPending(client, reverted[0]);
+    });
+}
+
+/**
+ * Mark an existing schema as migrated up to a target version
+ */
+async function migrateBaseline(options = {}) {
+    if (!options.target) {
+        throw new Error('baseline requires --to <version>');
+    }
+
+    return withMigrationLock(client => recordBaseline(client, options.target));
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    computeChecksum,
+    loadMigrations,
+    ensureMigrationsTable,
+    getMigrationStatus,
+    migrateUp,
+    migrateDown,
+    migrateRedo,
+    migrateBaseline
+};
@@ -0,0 +1,328 @@
+const config = require('../config/config');
+const logger = require('./logger');
+const { getPool, queryWithRetry } = require('./db');
+const { countRows } = require('./quality');
+const { SqlInputError, assertIdentifier, quoteIdentifier, quoteTable } = require('./sql');
+
+const NUMERIC_TYPES = ['smallint', 'integer', 'bigint', 'numeric', 'real', 'double precision'];
+const TEXT_TYPES = ['character varying', 'character', 'text'];
+const TEMPORAL_TYPES = ['date', 'timestamp without time zone', 'timestamp with time zone'];
+
+// Text columns with at most this many distinct values are categorical: all their values are kept
+const MAX_CATEGORIES = 50;
+// ...as long as values repeat: below this share of distinct values among the non-null ones,
+// so near-unique columns of small tables (emails, phones) are not categories
+const MAX_DISTINCT_RATIO = 0.5;
+const TOP_K = 10;
+
+// Drift needs a few earlier profiles before a standard deviation means anything
+const MIN_HISTORY = 3;
+
+// Spread floor, as a share of the historical mean, so perfectly stable history does not flag rounding noise
+const RELATIVE_SPREAD_FLOOR = 0.01;
+
+/**
+ * Statistics compared against history: numeric means, null ratios, text lengths and the row count
+ */
+const DRIFT_METRICS = [
+    { metric: 'mean', label: 'mean', kinds: ['numeric'], get: column => column.mean },
+    { metric: 'nullRatio', label: 'null ratio', minSpread: 0.01, get: column => column.nullRatio },
+    { metric: 'length.mean', label: 'mean length', kinds: ['text'], get: column => column.length && column.length.mean }
+];
+
+/**
+ * Classify a Postgres data type for profiling
+ */
+function columnKind(dataType) {
+    if (NUMERIC_TYPES.includes(dataType)) {
+        return 'numeric';
+    }
+    if (TEXT_TYPES.includes(dataType)) {
+        return 'text';
+    }
+    if (TEMPORAL_TYPES.includes(dataType)) {
+        return 'temporal';
+    }
+    return 'other';
+}
+
+/**
+ * Parse a numeric aggregate, keeping null for empty tables
+ */
+function toNumber(value) {
+    return value === null || value === undefined ? null : parseFloat(value);
+}
+
+/**
+ * Compute statistics for one column
+ */
+async function profileColumn(db, tableName, column, kind, rowCount) {
+    const aggregates = ['COUNT(*) FILTER (WHERE c IS NULL) AS nulls', 'COUNT(DISTINCT c) AS distinct'];
+
+    if (kind === 'numeric') {
+        aggregates.push('MIN(c) AS min', 'MAX(c) AS max', 'AVG(c) AS mean', 'STDDEV_POP(c) AS stddev');
+    } else if (kind === 'temporal') {
+        aggregates.push('MIN(c) AS min', 'MAX(c) AS max');
+    } else if (kind === 'text') {
+        aggregates.push(
+            'MIN(LENGTH(c)) AS length_min',
+            'MAX(LENGTH(c)) AS length_max',
+            'AVG(LENGTH(c)) AS length_mean',
+            'PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY LENGTH(c)) AS length_p50',
+            'PERCENTILE_CONT(0.9) WITHIN GROUP (ORDER BY LENGTH(c)) AS length_p90'
+        );
+    }
+
+    const result = await db.query(
+        `SELECT ${aggregates.join(', ')} FROM (SELECT ${quoteIdentifier(column)} AS c FROM ${quoteTable(tableName)}) t`
+    );
+    const row = result.rows[0];
+    const nullCount = parseInt(row.nulls);
+
+    const profile = {
+        kind,
+        nullCount,
+        nullRatio: rowCount === 0 ? 0 : nullCount / rowCount,
+        distinctCount: parseInt(row.distinct)
+    };
+
+    if (kind === 'numeric') {
+        profile.min = toNumber(row.min);
+        profile.max = toNumber(row.max);
+        profile.mean = toNumber(row.mean);
+        profile.stddev = toNumber(row.stddev);
+    } else if (kind === 'temporal') {
+        profile.min = row.min;
+        profile.max = row.max;
+    } else if (kind === 'text') {
+        profile.length = {
+            min: toNumber(row.length_min),
+            max: toNumber(row.length_max),
+            mean: toNumber(row.length_mean),
+            p50: toNumber(row.length_p50),
+            p90: toNumber(row.length_p90)
+        };
+
+        const valueCount = rowCount - nullCount;
+        profile.categorical = profile.distinctCount <= MAX_CATEGORIES &&
+            valueCount > 0 && profile.distinctCount / valueCount < MAX_DISTINCT_RATIO;
+
+        const topValues = await db.query(
+            `SELECT c AS value, COUNT(*) AS count
+       FROM (SELECT ${quoteIdentifier(column)} AS c FROM ${quoteTable(tableName)}) t
+       WHERE c IS NOT NULL
+       GROUP BY c
+       ORDER BY COUNT(*) DESC, c
+       LIMIT $1`,
+            [profile.categorical ? MAX_CATEGORIES : TOP_K]
+        );
+        profile.topValues = topValues.rows.map(({ value, count }) => ({ value, count: parseInt(count) }));
+    }
+
+    return profile;
+}
+
+/**
+ * Profile every column of a table
+ */
+async function profileTable(tableName, options = {}) {
+    const db = options.client || getPool();
+    const exclude = options.exclude || [];
+
+    assertIdentifier(tableName, 'table name');
+
+    const columnsResult = await db.query(
+        `SELECT column_name, data_type FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name = $1
+     ORDER BY ordinal_position`,
+        [tableName]
+    );
+
+    if (columnsResult.rows.length === 0) {
+        throw new SqlInputError(`Unknown table ${tableName}`);
+    }
+
+    const rowCount = await countRows(tableName, db);
+    const columns = {};
+
+    for (const { column_name: column, data_type: dataType } of columnsResult.rows) {
+        if (!exclude.includes(column)) {
+            columns[column] = await profileColumn(db, tableName, column, columnKind(dataType), rowCount);
+        }
+    }
+
+    return { tableName, rowCount, columns };
+}
+
+/**
+ * Mean and population standard deviation of a list of numbers
+ */
+function describe(values) {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+    return { mean, stddev: Math.sqrt(variance) };
+}
+
+/**
+ * Round a statistic for messages
+ */
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Flag a statistic lying more than `sigma` standard deviations from its history
+ */
+function checkDrift(history, actual, { sigma, minSpread = 0 }) {
+    const values = history.filter(value => value !== null && value !== undefined);
+
+    if (values.length < MIN_HISTORY || actual === null || actual === undefined) {
+        return null;
+    }
+
+    const { mean, stddev } = describe(values);
+    const spread = Math.max(stddev, Math.abs(mean) * RELATIVE_SPREAD_FLOOR, minSpread);
+
+    if (spread === 0) {
+        return actual === mean ? null : { expected: mean, stddev, actual, sigmas: Infinity };
+    }
+
+    const sigmas = Math.abs(actual - mean) / spread;
+    return sigmas > sigma ? { expected: mean, stddev, actual, sigmas: round(sigmas) } : null;
+}
+
+/**
+ * Compare a profile with earlier profiles of the same table
+ *
+ * Flags row counts, numeric means, null ratios and text lengths drifting
+ * beyond `sigma` standard deviations, and values of categorical columns that
+ * no earlier profile has seen.
+ */
+function detectAnomalies(profile, history, options = {}) {
+    const sigma = options.sigma || config.etl.anomalySigma;
+    const anomalies = [];
+
+    const rowCountDrift = checkDrift(history.map(earlier => parseInt(earlier.row_count)), profile.rowCount, { sigma });
+    if (rowCountDrift) {
+        anomalies.push({
+            column: null,
+            metric: 'rowCount',
+            ...rowCountDrift,
+            message: `row count shifted ${rowCountDrift.sigmas}σ (${round(rowCountDrift.expected)} → ${rowCountDrift.actual})`
+        });
+    }
+
+    for (const [column, current] of Object.entries(profile.columns)) {
+        const earlierColumns = history.map(earlier => earlier.columns[column]).filter(Boolean);
+
+        for (const { metric, label, kinds, minSpread, get } of DRIFT_METRICS) {
+            if (kinds && !kinds.includes(current.kind)) {
+                continue;
+            }
+
+            const drift = checkDrift(earlierColumns.map(get), get(current), { sigma, minSpread });
+            if (drift) {
+                anomalies.push({
+                    column,
+                    metric,
+                    ...drift,
+                    message: `${column} ${label} shifted ${drift.sigmas}σ (${round(drift.expected)} → ${round(drift.actual)})`
+                });
+            }
+        }
+
+        const earlierCategories = earlierColumns.filter(earlier => earlier.categorical);
+        if (current.categorical && earlierCategories.length > 0) {
+            const known = new Set(earlierCategories.flatMap(earlier => earlier.topValues.map(({ value }) => value)));
+            const newValues = current.topValues.filter(({ value }) => !known.has(value));
+
+            if (newValues.length > 0) {
+                anomalies.push({
+                    column,
+                    metric: 'newValues',
+                    values: newValues,
+                    message: `new ${column} values: ${newValues.map(({ value, count }) => `'${value}' (${count})`).join(', ')}`
+                });
+            }
+        }
+    }
+
+    return anomalies;
+}
+
+/**
+ * Get earlier profiles of a table from successful runs, newest first
+ */
+async function getProfileHistory(tableName, options = {}) {
+    const result = await queryWithRetry(`
+    SELECT p.profile_id, p.run_id, p.row_count, p.columns, p.anomalies, p.created_at
+    FROM table_profiles p
+    JOIN etl_runs r ON r.run_id = p.run_id
+    WHERE p.table_name = $1
+      AND r.status = 'succeeded'
+      AND ($2::uuid IS NULL OR p.run_id <> $2::uuid)
+    ORDER BY p.created_at DESC, p.profile_id DESC
+    LIMIT $3
+  `, [tableName, options.excludeRunId || null, options.limit || config.etl.profileHistory]);
+
+    return result.rows;
+}
+
+/**
+ * Get the most recent stored profile of a table
+ */
+async function getLatestProfile(tableName) {
+    const result = await queryWithRetry(`
+    SELECT profile_id, run_id, row_count, columns, anomalies, created_at
+    FROM table_profiles
+    WHERE table_name = $1
+    ORDER BY created_at DESC, profile_id DESC
+    LIMIT 1
+  `, [tableName]);
+
+    return result.rows[0] || null;
+}
+
+/**
+ * Profile a loaded table, flag anomalies against its history and store the profile
+ *
+ * Profiling never fails the run; errors are logged and no anomalies are returned.
+ */
+async function runProfiler(tableName, runId, options = {}) {
+    try {
+        logger.info(`Profiling ${tableName}...`);
+
+        const profile = await profileTable(tableName, options);
+        const history = await getProfileHistory(tableName, { excludeRunId: runId });
+        const anomalies = detectAnomalies(profile, history, options);
+
+        await queryWithRetry(
+            `INSERT INTO table_profiles (run_id, table_name, row_count, columns, anomalies)
+       VALUES ($1, $2, $3, $4, $5)`,
+            [runId, tableName, profile.rowCount, JSON.stringify(profile.columns), JSON.stringify(anomalies)]
+        );
+
+        if (history.length < MIN_HISTORY) {
+            logger.info(`Profiled ${tableName}; ${history.length} earlier profiles, drift checks start after ${MIN_HISTORY}`);
+        } else if (anomalies.length === 0) {
+            logger.info(`Profiled ${tableName}; no anomalies against ${history.length} earlier profiles`);
+        }
+
+        for (const anomaly of anomalies) {
+            logger.warn(`Anomaly in ${tableName}: ${anomaly.message}`);
+        }
+
+        return anomalies;
+    } catch (err) {
+        logger.error(`Error profiling ${tableName}:`, err);
+        return [];
+    }
+}
+
+module.exports = {
+    profileTable,
+    detectAnomalies,
+    getProfileHistory,
+    getLatestProfile,
+    runProfiler
+};
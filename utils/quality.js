@@ -1,13 +1,25 @@
 const logger = require('./logger');
 const { getPool } = require('./db');
+const { SqlInputError, quoteIdentifier, quoteTable, assertNumber, assertColumns } = require('./sql');
+
+/**
+ * Count rows in a table
+ */
+async function countRows(tableName, db = getPool()) {
+    const result = await db.query(`SELECT COUNT(*) FROM ${quoteTable(tableName)}`);
+    return parseInt(result.rows[0].count);
+}
 
 /**
  * Verify row count after ETL
  */
-async function verifyRowCount(tableName, expectedCount, tolerance = 0) {
+async function verifyRowCount(tableName, expectedCount, tolerance = 0, db = getPool()) {
+    assertNumber(expectedCount, 'expected row count');
+    assertNumber(tolerance, 'row count tolerance');
+    await assertColumns(db, tableName);
+
     try {
-        const pool = getPool();
-        const result = await pool.query(`SELECT COUNT(*) FROM ${tableName}`);
+        const result = await db.query(`SELECT COUNT(*) FROM ${quoteTable(tableName)}`);
         const actualCount = parseInt(result.rows[0].count);
 
         const diff = Math.abs(actualCount - expectedCount);
@@ -38,17 +50,18 @@ async function verifyRowCount(tableName, expectedCount, tolerance = 0) {
 /**
  * Check for duplicate records
  */
-async function checkDuplicates(tableName, uniqueColumn) {
+async function checkDuplicates(tableName, uniqueColumn, db = getPool()) {
+    await assertColumns(db, tableName, [uniqueColumn]);
+
     try {
-        const pool = getPool();
         const query = `
-      SELECT ${uniqueColumn}, COUNT(*) as count
-      FROM ${tableName}
-      GROUP BY ${uniqueColumn}
+      SELECT ${quoteIdentifier(uniqueColumn)}, COUNT(*) as count
+      FROM ${quoteTable(tableName)}
+      GROUP BY ${quoteIdentifier(uniqueColumn)}
       HAVING COUNT(*) > 1
     `;
 
-        const result = await pool.query(query);
+        const result = await db.query(query);
 
         if (result.rows.length > 0) {
             logger.warn(`Found ${result.rows.length} duplicate records in ${tableName}.${uniqueColumn}`);
@@ -73,14 +86,15 @@ async function checkDuplicates(tableName, uniqueColumn) {
 /**
  * Check for null values in critical columns
  */
-async function checkNullValues(tableName, columns) {
+async function checkNullValues(tableName, columns, db = getPool()) {
+    await assertColumns(db, tableName, columns);
+
     try {
-        const pool = getPool();
         const results = {};
 
         for (const column of columns) {
-            const query = `SELECT COUNT(*) FROM ${tableName} WHERE ${column} IS NULL`;
-            const result = await pool.query(query);
+            const query = `SELECT COUNT(*) FROM ${quoteTable(tableName)} WHERE ${quoteIdentifier(column)} IS NULL`;
+            const result = await db.query(query);
             const nullCount = parseInt(result.rows[0].count);
 
             results[column] = nullCount;
@@ -98,64 +112,293 @@ async function checkNullValues(tableName, columns) {
     }
 }
 
+const DEFAULT_SAMPLE_SIZE = 5;
+
+const EMAIL_PATTERN = '^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Za-z]{2,}$';
+
 /**
- * Validate data types and ranges
+ * Count the rows of a table matching a condition and fetch a sample of them
+ *
+ * The condition refers to the table as `t` and must quote its identifiers.
  */
-async function validateDataTypes(tableName, validations) {
+async function findOffendingRows(db, tableName, condition, params, sampleSize) {
+    const countResult = await db.query(`SELECT COUNT(*) FROM ${quoteTable(tableName)} t WHERE ${condition}`, params);
+    const count = parseInt(countResult.rows[0].count);
+
+    if (count === 0) {
+        return { count, samples: [] };
+    }
+
+    const sampleResult = await db.query(
+        `SELECT t.* FROM ${quoteTable(tableName)} t WHERE ${condition} LIMIT $${params.length + 1}`,
+        [...params, sampleSize]
+    );
+
+    return { count, samples: sampleResult.rows };
+}
+
+/**
+ * Name a validation by its column(s), or its name for custom SQL
+ */
+function ruleLabel(validation) {
+    return validation.name || validation.column || (validation.columns || []).join('+');
+}
+
+/**
+ * Validation types: each returns an issue with sample offending rows, or null when the rule holds
+ *
+ * Rules run only after assertValidation has checked their identifiers and bounds.
+ */
+const VALIDATIONS = {
+    // Numeric values within [min, max]
+    numeric: async (db, tableName, { column, min, max }, sampleSize) => {
+        const conditions = [];
+        const params = [];
+
+        if (min !== undefined) {
+            params.push(min);
+            conditions.push(`t.${quoteIdentifier(column)} < $${params.length}`);
+        }
+        if (max !== undefined) {
+            params.push(max);
+            conditions.push(`t.${quoteIdentifier(column)} > $${params.length}`);
+        }
+
+        if (conditions.length === 0) {
+            return null;
+        }
+
+        const { count, samples } = await findOffendingRows(db, tableName, conditions.join(' OR '), params, sampleSize);
+        return count === 0 ? null : {
+            issue: 'out_of_range',
+            count,
+            samples,
+            message: `${count} records have ${column} outside range [${min}, ${max}]`
+        };
+    },
+
+    // Email address format
+    email: async (db, tableName, { column }, sampleSize) => {
+        const { count, samples } = await findOffendingRows(
+            db, tableName, `t.${quoteIdentifier(column)} !~ $1`, [EMAIL_PATTERN], sampleSize
+        );
+        return count === 0 ? null : {
+            issue: 'invalid_format',
+            count,
+            samples,
+            message: `${count} records have invalid email format in ${column}`
+        };
+    },
+
+    // Non-null values from a fixed set
+    allowed: async (db, tableName, { column, values }, sampleSize) => {
+        const quoted = `t.${quoteIdentifier(column)}`;
+        const { count, samples } = await findOffendingRows(
+            db, tableName, `${quoted} IS NOT NULL AND NOT (${quoted}::text = ANY($1::text[]))`, [values.map(String)], sampleSize
+        );
+        return count === 0 ? null : {
+            issue: 'not_allowed',
+            count,
+            samples,
+            message: `${count} records have ${column} outside the allowed values (${values.join(', ')})`
+        };
+    },
+
+    // Non-null values matching a regular expression
+    pattern: async (db, tableName, { column, pattern }, sampleSize) => {
+        const quoted = `t.${quoteIdentifier(column)}`;
+        const { count, samples } = await findOffendingRows(
+            db, tableName, `${quoted} IS NOT NULL AND ${quoted}::text !~ $1`, [pattern], sampleSize
+        );
+        return count === 0 ? null : {
+            issue: 'pattern_mismatch',
+            count,
+            samples,
+            message: `${count} records have ${column} not matching /${pattern}/`
+        };
+    },
+
+    // Every non-null value exists in another table
+    references: async (db, tableName, { column, references, referencedColumn = column }, sampleSize) => {
+        const quoted = `t.${quoteIdentifier(column)}`;
+        const { count, samples } = await findOffendingRows(
+            db,
+            tableName,
+            `${quoted} IS NOT NULL AND NOT EXISTS (
+         SELECT 1 FROM ${quoteTable(references)} r WHERE r.${quoteIdentifier(referencedColumn)} = ${quoted}
+       )`,
+            [],
+            sampleSize
+        );
+        return count === 0 ? null : {
+            issue: 'orphaned',
+            count,
+            samples,
+            message: `${count} records have ${column} with no matching ${references}.${referencedColumn}`
+        };
+    },
+
+    // Share of null values at most max (0-1)
+    nullRatio: async (db, tableName, { column, max }, sampleSize) => {
+        const result = await db.query(
+            `SELECT COUNT(*) FILTER (WHERE ${quoteIdentifier(column)} IS NULL) AS nulls, COUNT(*) AS total
+       FROM ${quoteTable(tableName)}`
+        );
+        const nulls = parseInt(result.rows[0].nulls);
+        const total = parseInt(result.rows[0].total);
+        const ratio = total === 0 ? 0 : nulls / total;
+
+        if (ratio <= max) {
+            return null;
+        }
+
+        const { samples } = await findOffendingRows(db, tableName, `t.${quoteIdentifier(column)} IS NULL`, [], sampleSize);
+        return {
+            issue: 'null_ratio_exceeded',
+            count: nulls,
+            samples,
+            message: `${(ratio * 100).toFixed(1)}% of ${column} values are null (${nulls}/${total}), above ${(max * 100).toFixed(1)}%`
+        };
+    },
+
+    // No two rows share the same combination of columns
+    unique: async (db, tableName, { columns }, sampleSize) => {
+        const columnList = columns.map(column => quoteIdentifier(column)).join(', ');
+        const groups = `SELECT ${columnList}, COUNT(*) AS count FROM ${quoteTable(tableName)} GROUP BY ${columnList} HAVING COUNT(*) > 1`;
+        const countResult = await db.query(`SELECT COUNT(*) FROM (${groups}) g`);
+        const count = parseInt(countResult.rows[0].count);
+
+        if (count === 0) {
+            return null;
+        }
+
+        const sampleResult = await db.query(`${groups} ORDER BY COUNT(*) DESC LIMIT $1`, [sampleSize]);
+        return {
+            issue: 'duplicate',
+            count,
+            samples: sampleResult.rows,
+            message: `${count} combinations of (${columns.join(', ')}) appear more than once`
+        };
+    },
+
+    // The newest value of a timestamp column is at most maxAgeHours old
+    freshness: async (db, tableName, { column, maxAgeHours }) => {
+        const quoted = quoteIdentifier(column);
+        const result = await db.query(
+            `SELECT MAX(${quoted}) AS latest,
+              COALESCE(MAX(${quoted}) < CURRENT_TIMESTAMP - make_interval(hours => $1), true) AS stale
+       FROM ${quoteTable(tableName)}`,
+            [maxAgeHours]
+        );
+        const { latest, stale } = result.rows[0];
+
+        return !stale ? null : {
+            issue: 'stale',
+            count: 1,
+            samples: [{ latest }],
+            message: latest
+                ? `newest ${column} is ${latest.toISOString()}, older than ${maxAgeHours} hours`
+                : `${tableName} has no ${column} values`
+        };
+    },
+
+    // Custom SQL returning the offending rows; the rule holds when it returns none.
+    // The query runs as written, so it must come from a trusted pipeline definition.
+    sql: async (db, tableName, { name, sql, params = [] }, sampleSize) => {
+        const countResult = await db.query(`SELECT COUNT(*) FROM (${sql}) q`, params);
+        const count = parseInt(countResult.rows[0].count);
+
+        if (count === 0) {
+            return null;
+        }
+
+        const sampleResult = await db.query(`SELECT * FROM (${sql}) q LIMIT $${params.length + 1}`, [...params, sampleSize]);
+        return {
+            issue: 'assertion_failed',
+            count,
+            samples: sampleResult.rows,
+            message: `${count} rows violate ${name}`
+        };
+    }
+};
+
+/**
+ * Check a validation's type, identifiers (against the catalog) and bounds before it runs
+ */
+async function assertValidation(db, tableName, validation) {
+    const { type, column, columns } = validation;
+    const target = validation.table || tableName;
+
+    if (!VALIDATIONS[type]) {
+        throw new SqlInputError(`Unknown validation type '${type}' (available: ${Object.keys(VALIDATIONS).join(', ')})`);
+    }
+
+    if (type === 'sql') {
+        if (typeof validation.sql !== 'string' || !validation.name) {
+            throw new SqlInputError('sql validations need a name and an sql query string');
+        }
+        if (validation.params !== undefined && !Array.isArray(validation.params)) {
+            throw new SqlInputError(`params of sql validation ${validation.name} must be an array`);
+        }
+        return;
+    }
+
+    if (type === 'unique' && (!Array.isArray(columns) || columns.length === 0)) {
+        throw new SqlInputError('unique validations need a non-empty columns array');
+    }
+
+    await assertColumns(db, target, type === 'unique' ? columns : [column]);
+
+    if (type === 'numeric') {
+        if (validation.min !== undefined) {
+            assertNumber(validation.min, `min for ${column}`);
+        }
+        if (validation.max !== undefined) {
+            assertNumber(validation.max, `max for ${column}`);
+        }
+    } else if (type === 'allowed') {
+        if (!Array.isArray(validation.values) || validation.values.length === 0) {
+            throw new SqlInputError(`allowed validation for ${column} needs a non-empty values array`);
+        }
+    } else if (type === 'pattern') {
+        if (typeof validation.pattern !== 'string') {
+            throw new SqlInputError(`pattern validation for ${column} needs a pattern string`);
+        }
+    } else if (type === 'references') {
+        await assertColumns(db, validation.references, [validation.referencedColumn || column]);
+    } else if (type === 'nullRatio') {
+        const max = assertNumber(validation.max, `max null ratio for ${column}`);
+        if (max < 0 || max > 1) {
+            throw new SqlInputError(`max null ratio for ${column} must be between 0 and 1`);
+        }
+    } else if (type === 'freshness') {
+        assertNumber(validation.maxAgeHours, `maxAgeHours for ${column}`);
+    }
+}
+
+/**
+ * Validate data types, ranges, value sets, patterns, references and custom assertions
+ *
+ * A validation may set `table` to check a table other than the report's.
+ */
+async function validateDataTypes(tableName, validations, db = getPool(), sampleSize = DEFAULT_SAMPLE_SIZE) {
     try {
-        const pool = getPool();
         const issues = [];
 
         for (const validation of validations) {
-            const { column, type, min, max } = validation;
-
-            // Check numeric ranges
-            if (type === 'numeric' && (min !== undefined || max !== undefined)) {
-                let query = `SELECT COUNT(*) FROM ${tableName} WHERE `;
-                const conditions = [];
-
-                if (min !== undefined) {
-                    conditions.push(`${column} < ${min}`);
-                }
-                if (max !== undefined) {
-                    conditions.push(`${column} > ${max}`);
-                }
-
-                query += conditions.join(' OR ');
-
-                const result = await pool.query(query);
-                const outOfRangeCount = parseInt(result.rows[0].count);
-
-                if (outOfRangeCount > 0) {
-                    issues.push({
-                        column,
-                        issue: 'out_of_range',
-                        count: outOfRangeCount,
-                        message: `${outOfRangeCount} records have ${column} outside range [${min}, ${max}]`
-                    });
-                    logger.warn(`${outOfRangeCount} records in ${tableName}.${column} are out of range`);
-                }
-            }
+            await assertValidation(db, tableName, validation);
+
+            const target = validation.table || tableName;
+            const issue = await VALIDATIONS[validation.type](db, target, validation, sampleSize);
 
-            // Check email format
-            if (type === 'email') {
-                const query = `SELECT COUNT(*) FROM ${tableName} WHERE ${column} !~ '^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Za-z]{2,}$'`;
-                const result = await pool.query(query);
-                const invalidCount = parseInt(result.rows[0].count);
-
-                if (invalidCount > 0) {
-                    issues.push({
-                        column,
-                        issue: 'invalid_format',
-                        count: invalidCount,
-                        message: `${invalidCount} records have invalid email format in ${column}`
-                    });
-                    logger.warn(`${invalidCount} records in ${tableName}.${column} have invalid email format`);
-                }
+            if (issue) {
+                issues.push({ column: ruleLabel(validation), ...issue });
+                logger.warn(`${target}.${ruleLabel(validation)} fails ${validation.type} check: ${issue.message}`);
+            } else {
+                logger.info(`${target}.${ruleLabel(validation)} passes ${validation.type} check`);
             }
         }
 
-        logger.info(`Data type validation completed for ${tableName}: ${issues.length} issues found`);
         return {
             valid: issues.length === 0,
             issues
@@ -166,48 +409,181 @@ async function validateDataTypes(tableName, validations) {
     }
 }
 
+/**
+ * Rule severities, from least to most disruptive
+ *
+ * warn:   logged only
+ * fail:   checked after commit; the run is marked failed and exits non-zero
+ * block:  checked inside the load transaction; failing rolls the load back
+ */
+const SEVERITIES = ['warn', 'fail', 'block'];
+
+/**
+ * Raised when quality rules of severity fail or block do not pass
+ */
+class QualityGateError extends Error {
+    constructor(tableName, failures) {
+        super(`Quality gate failed for ${tableName}: ${failures.map(gate => `[${gate.severity}] ${gate.message}`).join('; ')}`);
+        this.name = 'QualityGateError';
+        this.tableName = tableName;
+        this.failures = failures;
+    }
+}
+
+/**
+ * Resolve a rule's severity: its own setting, then config.severities, then config.severity
+ */
+function resolveSeverity(config, rule, own) {
+    const severity = own || (config.severities || {})[rule] || config.severity || 'warn';
+
+    if (!SEVERITIES.includes(severity)) {
+        throw new Error(`Unknown quality severity '${severity}' for rule ${rule} (available: ${SEVERITIES.join(', ')})`);
+    }
+
+    return severity;
+}
+
+/**
+ * Get the rules that failed, optionally only those of the given severities
+ */
+function failedGates(report, severities = SEVERITIES) {
+    return (report.gates || []).filter(gate => !gate.passed && severities.includes(gate.severity));
+}
+
+/**
+ * Check a report config's table, columns, bounds and validations against the catalog
+ */
+async function assertReportConfig(db, tableName, config) {
+    await assertColumns(db, tableName, [
+        ...(config.uniqueColumn ? [config.uniqueColumn] : []),
+        ...(config.requiredColumns || [])
+    ]);
+
+    if (config.expectedRowCount !== undefined) {
+        assertNumber(config.expectedRowCount, 'expected row count');
+    }
+    if (config.rowCountTolerance !== undefined) {
+        assertNumber(config.rowCountTolerance, 'row count tolerance');
+    }
+    if (config.sampleSize !== undefined && !(Number.isInteger(config.sampleSize) && config.sampleSize > 0)) {
+        throw new SqlInputError(`Invalid sample size ${JSON.stringify(config.sampleSize)}: expected a positive integer`);
+    }
+
+    for (const validation of config.validations || []) {
+        await assertValidation(db, tableName, validation);
+    }
+}
+
 /**
  * Generate data quality report
+ *
+ * options.client runs the checks on a transaction's client instead of the pool;
+ * options.severities restricts the run to rules of those severities.
  */
-async function generateQualityReport(tableName, config) {
-    logger.info(`Generating data quality report for ${tableName}...`);
+async function generateQualityReport(tableName, config, options = {}) {
+    const db = options.client || getPool();
+    const selected = options.severities || SEVERITIES;
+    const includes = (rule, own) => selected.includes(resolveSeverity(config, rule, own));
 
     const report = {
         tableName,
         timestamp: new Date().toISOString(),
-        checks: {}
+        checks: {},
+        gates: []
+    };
+
+    const sampleSize = config.sampleSize || DEFAULT_SAMPLE_SIZE;
+
+    const addGate = (rule, severity, passed, message, samples = []) => {
+        report.gates.push({ rule, severity, passed, message, samples });
     };
 
+    // Severities of the selected rules; resolving them up front rejects unknown severities
+    const configured = [
+        config.expectedRowCount && resolveSeverity(config, 'rowCount'),
+        config.uniqueColumn && resolveSeverity(config, 'duplicates'),
+        config.requiredColumns && resolveSeverity(config, 'nullValues'),
+        ...(config.validations || []).map(validation => resolveSeverity(config, 'dataTypes', validation.severity))
+    ].filter(severity => severity && selected.includes(severity));
+
+    // Nothing to check for a severity-restricted run
+    if (options.severities && configured.length === 0) {
+        report.passed = true;
+        return report;
+    }
+
+    logger.info(`Generating ${options.severities ? `${selected.join('/')} ` : ''}data quality report for ${tableName}...`);
+
+    // Bad identifiers or bounds are configuration errors, raised before any check runs
+    await assertReportConfig(db, tableName, config);
+
     try {
+        // Metrics tracked across runs regardless of configured checks
+        if (!options.severities) {
+            report.metrics = {
+                rowCount: await countRows(tableName, db)
+            };
+        }
+
         // Row count check
-        if (config.expectedRowCount) {
-            report.checks.rowCount = await verifyRowCount(
+        if (config.expectedRowCount && includes('rowCount')) {
+            const check = await verifyRowCount(
                 tableName,
                 config.expectedRowCount,
-                config.rowCountTolerance || 0
+                config.rowCountTolerance || 0,
+                db
             );
+            report.checks.rowCount = check;
+            addGate('rowCount', resolveSeverity(config, 'rowCount'), check.valid,
+                `expected ${check.expected} rows (±${config.rowCountTolerance || 0}), found ${check.actual}`);
         }
 
         // Duplicate check
-        if (config.uniqueColumn) {
-            report.checks.duplicates = await checkDuplicates(tableName, config.uniqueColumn);
+        if (config.uniqueColumn && includes('duplicates')) {
+            const check = await checkDuplicates(tableName, config.uniqueColumn, db);
+            report.checks.duplicates = check;
+            addGate('duplicates', resolveSeverity(config, 'duplicates'), !check.hasDuplicates,
+                `${check.count} duplicate ${config.uniqueColumn} values`,
+                (check.duplicates || []).slice(0, sampleSize));
         }
 
         // Null value check
-        if (config.requiredColumns) {
-            report.checks.nullValues = await checkNullValues(tableName, config.requiredColumns);
+        if (config.requiredColumns && includes('nullValues')) {
+            const check = await checkNullValues(tableName, config.requiredColumns, db);
+            const withNulls = Object.entries(check).filter(([, count]) => count > 0);
+            const { samples } = withNulls.length === 0
+                ? { samples: [] }
+                : await findOffendingRows(db, tableName, withNulls.map(([column]) => `t.${quoteIdentifier(column)} IS NULL`).join(' OR '), [], sampleSize);
+            report.checks.nullValues = check;
+            addGate('nullValues', resolveSeverity(config, 'nullValues'), withNulls.length === 0,
+                withNulls.length === 0
+                    ? `no null values in ${config.requiredColumns.join(', ')}`
+                    : withNulls.map(([column, count]) => `${count} null ${column} values`).join(', '),
+                samples);
         }
 
-        // Data type validation
+        // Data type validation, one rule per validation
         if (config.validations) {
-            report.checks.dataTypes = await validateDataTypes(tableName, config.validations);
+            const validations = config.validations.filter(validation => includes('dataTypes', validation.severity));
+
+            if (validations.length > 0) {
+                report.checks.dataTypes = { valid: true, issues: [] };
+            }
+
+            for (const validation of validations) {
+                const check = await validateDataTypes(tableName, [validation], db, sampleSize);
+                report.checks.dataTypes.valid = report.checks.dataTypes.valid && check.valid;
+                report.checks.dataTypes.issues.push(...check.issues);
+                addGate(`dataTypes.${ruleLabel(validation)}`, resolveSeverity(config, 'dataTypes', validation.severity), check.valid,
+                    check.valid
+                        ? `${ruleLabel(validation)} passes ${validation.type} check`
+                        : check.issues.map(issue => issue.message).join('; '),
+                    check.issues.flatMap(issue => issue.samples));
+            }
         }
 
         // Overall status
-        report.passed =
-            (!report.checks.rowCount || report.checks.rowCount.valid) &&
-            (!report.checks.duplicates || !report.checks.duplicates.hasDuplicates) &&
-            (!report.checks.dataTypes || report.checks.dataTypes.valid);
+        report.passed = report.gates.every(gate => gate.passed);
 
         logger.info(`Data quality report generated for ${tableName}: ${report.passed ? 'PASSED' : 'FAILED'}`);
         return report;
@@ -215,11 +591,23 @@ async function generateQualityReport(tableName, config) {
         logger.error(`Error generating quality report for ${tableName}:`, err);
         report.error = err.message;
         report.passed = false;
+
+        // A report that could not run counts against its most severe rule
+        if (configured.length > 0) {
+            const severest = SEVERITIES[Math.max(...configured.map(severity => SEVERITIES.indexOf(severity)))];
+            addGate('report', severest, false, `quality checks could not run: ${err.message}`);
+        }
+
         return report;
     }
 }
 
 module.exports = {
+    SEVERITIES,
+    QualityGateError,
+    failedGates,
+    VALIDATIONS,
+    countRows,
     verifyRowCount,
     checkDuplicates,
     checkNullValues,
@@ -0,0 +1,187 @@
+const logger = require('./logger');
+const { queryWithRetry } = require('./db');
+
+// Row count changes at or beyond this percentage are flagged as regressions
+const DEFAULT_ROW_COUNT_CHANGE_PCT = 20;
+
+/**
+ * Flatten a quality report into comparable numeric metrics
+ */
+function extractMetrics(report) {
+    const metrics = {};
+
+    if (report.metrics) {
+        metrics.row_count = report.metrics.rowCount;
+    }
+
+    const { checks = {} } = report;
+
+    if (checks.duplicates) {
+        metrics.duplicate_count = checks.duplicates.count;
+    }
+
+    if (checks.nullValues) {
+        for (const [column, count] of Object.entries(checks.nullValues)) {
+            metrics[`null_count.${column}`] = count;
+        }
+    }
+
+    if (checks.dataTypes) {
+        for (const issue of checks.dataTypes.issues) {
+            metrics[`${issue.issue}.${issue.column}`] = issue.count;
+        }
+    }
+
+    return metrics;
+}
+
+/**
+ * Describe a metric in plain words for regression messages
+ */
+function describeMetric(metric) {
+    const [kind, column] = metric.split('.');
+
+    const descriptions = {
+        duplicate_count: () => 'duplicate keys',
+        null_count: () => `null ${column} values`,
+        out_of_range: () => `out-of-range ${column} values`,
+        invalid_format: () => `invalid ${column} formats`,
+        not_allowed: () => `disallowed ${column} values`,
+        pattern_mismatch: () => `${column} values not matching their pattern`,
+        orphaned: () => `${column} values without a referenced row`,
+        null_ratio_exceeded: () => `null ${column} values`,
+        duplicate: () => `duplicate (${column}) combinations`,
+        stale: () => `stale ${column} checks`,
+        assertion_failed: () => `rows violating ${column}`
+    };
+
+    return descriptions[kind] ? descriptions[kind]() : metric;
+}
+
+/**
+ * Compare two quality reports and flag regressions in the current one
+ */
+function diffQualityReports(previous, current, options = {}) {
+    const threshold = options.rowCountChangePct || DEFAULT_ROW_COUNT_CHANGE_PCT;
+    const previousMetrics = previous.metrics || extractMetrics(previous.report);
+    const currentMetrics = extractMetrics(current);
+    const regressions = [];
+
+    if (previous.passed && !current.passed) {
+        regressions.push({
+            metric: 'passed',
+            previous: true,
+            current: false,
+            message: 'quality checks passed on the previous run but failed on this one'
+        });
+    }
+
+    const metricNames = new Set([...Object.keys(previousMetrics), ...Object.keys(currentMetrics)]);
+
+    for (const metric of metricNames) {
+        const before = previousMetrics[metric] || 0;
+        const after = currentMetrics[metric] || 0;
+
+        if (metric === 'row_count') {
+            if (before === 0) {
+                continue;
+            }
+
+            const changePct = ((after - before) / before) * 100;
+
+            if (Math.abs(changePct) >= threshold) {
+                regressions.push({
+                    metric,
+                    previous: before,
+                    current: after,
+                    changePct: Math.round(changePct * 10) / 10,
+                    message: `row count ${changePct < 0 ? 'dropped' : 'grew'} ${Math.abs(Math.round(changePct))}% (${before} → ${after})`
+                });
+            }
+        } else if (after > before) {
+            regressions.push({
+                metric,
+                previous: before,
+                current: after,
+                message: `${describeMetric(metric)} went from ${before} to ${after}`
+            });
+        }
+    }
+
+    return regressions;
+}
+
+/**
+ * Get the latest stored report for a table from a successful run
+ */
+async function getLastSuccessfulReport(tableName, excludeRunId = null) {
+    const result = await queryWithRetry(`
+    SELECT q.report_id, q.run_id, q.passed, q.metrics, q.report, q.created_at
+    FROM quality_reports q
+    JOIN etl_runs r ON r.run_id = q.run_id
+    WHERE q.table_name = $1
+      AND r.status = 'succeeded'
+      AND ($2::uuid IS NULL OR q.run_id <> $2::uuid)
+    ORDER BY q.created_at DESC, q.report_id DESC
+    LIMIT 1
+  `, [tableName, excludeRunId]);
+
+    return result.rows[0] || null;
+}
+
+/**
+ * Store a quality report, returning the regressions found against the last successful run
+ */
+async function saveQualityReport(report, runId = null, options = {}) {
+    const previous = await getLastSuccessfulReport(report.tableName, runId);
+    const regressions = previous ? diffQualityReports(previous, report, options) : [];
+
+    await queryWithRetry(
+        `INSERT INTO quality_reports (run_id, table_name, passed, metrics, report, regressions)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+        [
+            runId,
+            report.tableName,
+            Boolean(report.passed),
+            JSON.stringify(extractMetrics(report)),
+            JSON.stringify(report),
+            JSON.stringify(regressions)
+        ]
+    );
+
+    if (!previous) {
+        logger.info(`No previous successful quality report for ${report.tableName} to compare against`);
+    } else if (regressions.length === 0) {
+        logger.info(`No quality regressions for ${report.tableName} since run ${previous.run_id}`);
+    } else {
+        for (const regression of regressions) {
+            logger.warn(`Quality regression in ${report.tableName}: ${regression.message}`);
+        }
+    }
+
+    return regressions;
+}
+
+/**
+ * Get stored quality reports for a table, newest first
+ */
+async function getQualityHistory(tableName, limit = 20) {
+    const result = await queryWithRetry(`
+    SELECT q.report_id, q.run_id, r.status AS run_status, q.passed, q.metrics, q.report, q.regressions, q.created_at
+    FROM quality_reports q
+    LEFT JOIN etl_runs r ON r.run_id = q.run_id
+    WHERE q.table_name = $1
+    ORDER BY q.created_at DESC, q.report_id DESC
+    LIMIT $2
+  `, [tableName, limit]);
+
+    return result.rows;
+}
+
+module.exports = {
+    extractMetrics,
+    diffQualityReports,
+    getLastSuccessfulReport,
+    saveQualityReport,
+    getQualityHistory
+};
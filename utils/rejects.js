@@ -0,0 +1,117 @@
+const logger = require('./logger');
+const { queryWithRetry, buildInsertQuery } = require('./db');
+
+const REJECT_COLUMNS = ['pipeline', 'run_id', 'source_row_number', 'stage', 'payload', 'errors'];
+
+/**
+ * Store rejected rows in the etl_rejects dead-letter table
+ *
+ * Uses the pool rather than the load transaction's client, so rejects are
+ * kept even when the load itself rolls back.
+ */
+async function recordRejects(pipeline, runId, rejects) {
+    if (!rejects || rejects.length === 0) {
+        return 0;
+    }
+
+    const values = rejects.map(reject => [
+        pipeline,
+        runId,
+        reject.rowNumber,
+        reject.stage,
+        JSON.stringify(reject.row),
+        JSON.stringify(reject.errors)
+    ]);
+
+    try {
+        const query = buildInsertQuery('etl_rejects', REJECT_COLUMNS, values);
+        const result = await queryWithRetry(query.text, query.values);
+        logger.debug(`Recorded ${result.rowCount} rejects for ${pipeline}`);
+        return result.rowCount;
+    } catch (err) {
+        logger.error(`Failed to record rejects for ${pipeline}:`, err);
+        throw err;
+    }
+}
+
+/**
+ * List rejects, newest first
+ */
+async function listRejects(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.pipeline) {
+        params.push(filters.pipeline);
+        conditions.push(`pipeline = $${params.length}`);
+    }
+
+    if (filters.runId) {
+        params.push(filters.runId);
+        conditions.push(`run_id = $${params.length}`);
+    }
+
+    if (!filters.includeReplayed) {
+        conditions.push('replayed_at IS NULL');
+    }
+
+    params.push(filters.limit || 100);
+
+    const result = await queryWithRetry(`
+    SELECT reject_id, pipeline, run_id, source_row_number, stage, payload, errors,
+           created_at, replayed_at, replay_run_id
+    FROM etl_rejects
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY created_at DESC, reject_id DESC
+    LIMIT $${params.length}
+  `, params);
+
+    return result.rows;
+}
+
+/**
+ * Get rejects that have not been replayed yet, oldest first
+ */
+async function getPendingRejects(pipeline, filters = {}) {
+    const params = [pipeline];
+    let runCondition = '';
+
+    if (filters.runId) {
+        params.push(filters.runId);
+        runCondition = 'AND run_id = $2';
+    }
+
+    const result = await queryWithRetry(`
+    SELECT reject_id, source_row_number, payload
+    FROM etl_rejects
+    WHERE pipeline = $1 AND replayed_at IS NULL ${runCondition}
+    ORDER BY reject_id
+  `, params);
+
+    return result.rows;
+}
+
+/**
+ * Mark rejects as replayed by a later run
+ */
+async function markRejectsReplayed(rejectIds, replayRunId) {
+    if (rejectIds.length === 0) {
+        return 0;
+    }
+
+    const result = await queryWithRetry(
+        `UPDATE etl_rejects SET replayed_at = CURRENT_TIMESTAMP, replay_run_id = $2
+     WHERE reject_id = ANY($1::bigint[])`,
+        [rejectIds, replayRunId]
+    );
+
+    logger.info(`Marked ${result.rowCount} rejects as replayed by run ${replayRunId}`);
+    return result.rowCount;
+}
+
+module.exports = {
+    recordRejects,
+    listRejects,
+    getPendingRejects,
+    markRejectsReplayed
+};
@@ -0,0 +1,247 @@
+const validator = require('validator');
+const { quoteIdentifier, quoteTable } = require('./sql');
+
+/**
+ * Field types: how a raw source value is parsed, and the Postgres column it maps to
+ *
+ * dataType is the information_schema name, used to detect drift against a live table.
+ */
+const TYPES = {
+    string: {
+        // Trimmed, with potential XSS characters removed
+        parse: raw => ({ value: String(raw).trim().replace(/[<>'"]/g, '') || null }),
+        sqlType: spec => (spec.maxLength ? `VARCHAR(${spec.maxLength})` : 'TEXT'),
+        dataType: spec => (spec.maxLength ? 'character varying' : 'text')
+    },
+    integer: {
+        // Plain decimal digits only (no hex, exponents or padding); "1.0" as written by
+        // float-typed exports such as the Titanic CSV is accepted as 1
+        parse: (raw) => {
+            if (typeof raw === 'number') {
+                return Number.isInteger(raw) ? { value: raw } : { error: 'an integer' };
+            }
+            return /^-?\d+(\.0+)?$/.test(String(raw)) ? { value: parseInt(raw, 10) } : { error: 'an integer' };
+        },
+        sqlType: () => 'INT',
+        dataType: () => 'integer'
+    },
+    number: {
+        parse: (raw) => {
+            const number = typeof raw === 'number' ? raw : Number(String(raw).trim());
+            return Number.isFinite(number) ? { value: number } : { error: 'a number' };
+        },
+        sqlType: () => 'FLOAT',
+        dataType: () => 'double precision'
+    }
+};
+
+const FORMATS = {
+    email: value => validator.isEmail(value)
+};
+
+/**
+ * Whether a raw source value is missing (unknown)
+ */
+function isBlank(raw) {
+    return raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+}
+
+/**
+ * Check a field definition once, when the schema is defined
+ */
+function assertField(name, spec) {
+    if (!TYPES[spec.type]) {
+        throw new Error(`Field ${name} has unknown type ${spec.type} (expected ${Object.keys(TYPES).join(', ')})`);
+    }
+    if (spec.format && !FORMATS[spec.format]) {
+        throw new Error(`Field ${name} has unknown format ${spec.format} (expected ${Object.keys(FORMATS).join(', ')})`);
+    }
+    if (spec.maxLength !== undefined && spec.type !== 'string') {
+        throw new Error(`Field ${name}: maxLength only applies to string fields`);
+    }
+    if (spec.truncate !== undefined && spec.maxLength === undefined) {
+        throw new Error(`Field ${name}: truncate only applies to fields with a maxLength`);
+    }
+}
+
+/**
+ * Parse, transform and check one field; pushes any errors and returns the value (or null)
+ */
+function validateField(name, spec, row, errors) {
+    const raw = row[spec.source !== undefined ? spec.source : name];
+    const fail = (code, message) => {
+        errors.push({ path: name, code, message: `${name} ${message}` });
+        return null;
+    };
+
+    let value = null;
+
+    if (!isBlank(raw)) {
+        const parsed = TYPES[spec.type].parse(raw);
+
+        if (parsed.error) {
+            return fail('invalid_type', `must be ${parsed.error} (got ${JSON.stringify(raw)})`);
+        }
+        value = parsed.value;
+    }
+
+    if (value !== null && spec.transform) {
+        value = spec.transform(value);
+        value = value === undefined || value === '' ? null : value;
+    }
+
+    // Over-long text is cut to fit the column, as the hand-written validators did
+    if (value !== null && spec.maxLength !== undefined && spec.truncate !== false) {
+        value = value.substring(0, spec.maxLength).trim() || null;
+    }
+
+    if (value === null) {
+        return spec.required ? fail('required', 'is required') : null;
+    }
+
+    if (spec.enum && !spec.enum.includes(value)) {
+        return fail('enum', `must be one of ${spec.enum.join(', ')} (got ${JSON.stringify(value)})`);
+    }
+    if (spec.min !== undefined && value < spec.min) {
+        return fail('min', `must be at least ${spec.min} (got ${value})`);
+    }
+    if (spec.max !== undefined && value > spec.max) {
+        return fail('max', `must be at most ${spec.max} (got ${value})`);
+    }
+    if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+        return fail('too_long', `must be at most ${spec.maxLength} characters (got ${value.length})`);
+    }
+    if (spec.pattern && !spec.pattern.test(value)) {
+        return fail('pattern', `must match ${spec.pattern} (got ${JSON.stringify(value)})`);
+    }
+    if (spec.format && !FORMATS[spec.format](value)) {
+        return fail('format', `must be a valid ${spec.format} (got ${JSON.stringify(value)})`);
+    }
+
+    return value;
+}
+
+/**
+ * Quote a value as a SQL literal for generated CHECK constraints
+ */
+function toLiteral(value) {
+    return typeof value === 'number' ? String(value) : `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Column definition for one field: type, NOT NULL and CHECK constraints for enums and ranges
+ */
+function columnDefinition(name, spec) {
+    const column = quoteIdentifier(name);
+    const checks = [];
+
+    if (spec.enum) {
+        checks.push(`${column} IN (${spec.enum.map(toLiteral).join(', ')})`);
+    }
+    if (spec.min !== undefined) {
+        checks.push(`${column} >= ${spec.min}`);
+    }
+    if (spec.max !== undefined) {
+        checks.push(`${column} <= ${spec.max}`);
+    }
+
+    return [
+        `${column} ${TYPES[spec.type].sqlType(spec)}`,
+        spec.required ? 'NOT NULL' : null,
+        checks.length > 0 ? `CHECK (${checks.join(' AND ')})` : null
+    ].filter(Boolean).join(' ');
+}
+
+/**
+ * Compile a declarative row schema into a validator and DDL generator
+ *
+ * fields maps each output field to its spec:
+ *   type       'string', 'integer' or 'number' (parsed from the raw source value)
+ *   source     key (or positional index) of the raw value, when it differs from the field name
+ *   required   reject the row when the value is missing
+ *   transform  value => value, applied after parsing and before the checks
+ *   enum, min, max, maxLength, pattern (RegExp), format ('email')
+ *   truncate   false to reject values longer than maxLength instead of cutting them to fit
+ *
+ * Missing values are null. rules are cross-field checks run on the parsed
+ * data: { code, path, message, check: data => boolean }.
+ *
+ * validate(row) returns { valid, data, errors }, with every error as
+ * { path, code, message }.
+ */
+function defineRowSchema({ fields, rules = [] }) {
+    for (const [name, spec] of Object.entries(fields)) {
+        assertField(name, spec);
+    }
+
+    const columnsOf = columns => (columns || Object.keys(fields)).filter(name => fields[name]);
+
+    return {
+        fields,
+        rules,
+
+        validate(row) {
+            const errors = [];
+            const data = {};
+
+            for (const [name, spec] of Object.entries(fields)) {
+                data[name] = validateField(name, spec, row, errors);
+            }
+
+            // Cross-field rules only see fields that parsed cleanly
+            const failed = new Set(errors.map(error => error.path));
+
+            for (const rule of rules) {
+                if (!failed.has(rule.path) && !rule.check(data)) {
+                    errors.push({ path: rule.path, code: rule.code, message: rule.message });
+                }
+            }
+
+            return { valid: errors.length === 0, data, errors };
+        },
+
+        /**
+         * Column definitions for the given fields (all fields by default)
+         */
+        columnDefinitions(columns) {
+            return columnsOf(columns).map(name => columnDefinition(name, fields[name]));
+        },
+
+        /**
+         * Expected information_schema shape of the given fields, for drift checks
+         */
+        expectedColumns(columns) {
+            return columnsOf(columns).map(name => ({
+                name,
+                dataType: TYPES[fields[name].type].dataType(fields[name]),
+                maxLength: fields[name].maxLength || null,
+                nullable: !fields[name].required
+            }));
+        },
+
+        /**
+         * CREATE TABLE statement for the given fields, plus any extra column definitions
+         */
+        createTableSql({ table, columns, primaryKey, extraColumns = [] }) {
+            const definitions = [...this.columnDefinitions(columns), ...extraColumns];
+
+            if (primaryKey) {
+                definitions.push(`PRIMARY KEY (${primaryKey.map(column => quoteIdentifier(column)).join(', ')})`);
+            }
+
+            return `CREATE TABLE ${quoteTable(table)} (\n    ${definitions.join(',\n    ')}\n);`;
+        }
+    };
+}
+
+/**
+ * One-line description of a validation error (stored rejects may be plain strings)
+ */
+function formatError(error) {
+    return typeof error === 'string' ? error : error.message;
+}
+
+module.exports = {
+    defineRowSchema,
+    formatError
+};
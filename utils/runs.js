@@ -0,0 +1,91 @@
+const logger = require('./logger');
+const { queryWithRetry } = require('./db');
+
+/**
+ * Record the start of a pipeline run
+ */
+async function startRun(summary, source) {
+    await queryWithRetry(
+        `INSERT INTO etl_runs (run_id, pipeline, source_type, source_location, status)
+     VALUES ($1, $2, $3, $4, 'running')`,
+        [summary.runId, summary.pipeline, source.type, source.location]
+    );
+
+    logger.debug(`Run ${summary.runId} recorded as running`);
+}
+
+/**
+ * Record the outcome, stage counts and quality report of a run
+ */
+async function finishRun(summary, status, err = null) {
+    await queryWithRetry(
+        `UPDATE etl_runs SET
+       status = $2,
+       finished_at = CURRENT_TIMESTAMP,
+       rows_extracted = $3,
+       rows_skipped = $4,
+       rows_valid = $5,
+       rows_rejected = $6,
+       rows_failed = $7,
+       load_counts = $8,
+       quality_report = $9,
+       error_message = $10
+     WHERE run_id = $1`,
+        [
+            summary.runId,
+            status,
+            summary.extracted,
+            summary.skipped,
+            summary.valid,
+            summary.rejected,
+            summary.failed,
+            JSON.stringify(summary.counts),
+            summary.qualityReport ? JSON.stringify(summary.qualityReport) : null,
+            err ? err.message : null
+        ]
+    );
+
+    logger.debug(`Run ${summary.runId} recorded as ${status}`);
+}
+
+/**
+ * List recent runs, newest first
+ */
+async function listRuns(filters = {}) {
+    const params = [];
+    let condition = '';
+
+    if (filters.pipeline) {
+        params.push(filters.pipeline);
+        condition = 'WHERE pipeline = $1';
+    }
+
+    params.push(filters.limit || 20);
+
+    const result = await queryWithRetry(`
+    SELECT run_id, pipeline, source_type, source_location, status, started_at, finished_at,
+           rows_extracted, rows_skipped, rows_valid, rows_rejected, rows_failed,
+           load_counts, error_message
+    FROM etl_runs
+    ${condition}
+    ORDER BY started_at DESC
+    LIMIT $${params.length}
+  `, params);
+
+    return result.rows;
+}
+
+/**
+ * Get a single run, including its quality report
+ */
+async function getRun(runId) {
+    const result = await queryWithRetry('SELECT * FROM etl_runs WHERE run_id = $1', [runId]);
+    return result.rows[0] || null;
+}
+
+module.exports = {
+    startRun,
+    finishRun,
+    listRuns,
+    getRun
+};
@@ -3,6 +3,7 @@ const config = require('../config/config');
 const logger = require('./logger');
 
 let sheetsClient = null;
+let driveClient = null;
 
 /**
  * Sleep utility for rate limiting
@@ -17,13 +18,23 @@ async function initializeSheetsClient() {
         return sheetsClient;
     }
 
+    // There is no built-in spreadsheet; each deployment points at its own
+    if (!config.googleSheets.spreadsheetId) {
+        throw new Error('No spreadsheet configured: set GOOGLE_SHEET_ID (or googleSheets.spreadsheetId in a config file)');
+    }
+
     try {
         const auth = new google.auth.GoogleAuth({
             keyFile: config.googleSheets.serviceAccountPath,
-            scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+            scopes: [
+                'https://www.googleapis.com/auth/spreadsheets',
+                // Revision lookups for cache invalidation
+                'https://www.googleapis.com/auth/drive.metadata.readonly'
+            ],
         });
 
         sheetsClient = google.sheets({ version: 'v4', auth });
+        driveClient = google.drive({ version: 'v3', auth });
         logger.info('Google Sheets client initialized successfully');
         return sheetsClient;
     } catch (err) {
@@ -65,6 +76,76 @@ async function readSheetData(spreadsheetId = null, range = null) {
     }
 }
 
+/**
+ * Convert a zero-based column index to its A1 letter (0 → A, 26 → AA)
+ */
+function columnLetter(index) {
+    let letter = '';
+
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+    }
+
+    return letter;
+}
+
+/**
+ * Convert an A1 column letter to its zero-based index (A → 0, AA → 26)
+ */
+function columnIndex(letter) {
+    return [...letter].reduce((index, char) => index * 26 + char.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Split an A1 range such as Sheet1!A2:J into its sheet prefix ('Sheet1!'), first column and first row
+ */
+function parseRange(range) {
+    const match = range.match(/^(.*!)?([A-Z]+)(\d+)(?::[A-Z]+\d*)?$/);
+
+    if (!match) {
+        throw new Error(`Unsupported sheet range ${range} (expected e.g. Sheet1!A2:J)`);
+    }
+
+    const [, sheet = '', column, row] = match;
+    return { sheet, column, row: parseInt(row) };
+}
+
+/**
+ * The header row of a data range: the row just above it (Sheet1!A1:J1 for Sheet1!A2:J)
+ */
+function headerRange(range) {
+    const { sheet, column, row } = parseRange(range);
+    const end = range.match(/:([A-Z]+)\d*$/);
+
+    if (row < 2) {
+        throw new Error(`Sheet range ${range} starts on the first row, leaving no room for a header row`);
+    }
+
+    return `${sheet}${column}${row - 1}${end ? `:${end[1]}${row - 1}` : ''}`;
+}
+
+/**
+ * Read a header row (by default the one above the configured data range)
+ */
+async function readSheetHeaders(spreadsheetId = null, range = null) {
+    const sheetRange = range || headerRange(config.googleSheets.range);
+    const sheets = getSheetsClient();
+
+    try {
+        const response = await sheets.spreadsheets.values.get({
+            spreadsheetId: spreadsheetId || config.googleSheets.spreadsheetId,
+            range: sheetRange,
+        });
+
+        const headers = (response.data.values || [])[0] || [];
+        logger.debug(`Read ${headers.length} headers from ${sheetRange}`);
+        return headers;
+    } catch (err) {
+        logger.error(`Failed to read the header row ${sheetRange}:`, err);
+        throw err;
+    }
+}
+
 /**
  * Batch update Google Sheets with rate limiting
  */
@@ -159,11 +240,39 @@ async function getSheetMetadata(spreadsheetId = null) {
     }
 }
 
+/**
+ * Get the Drive revision of a spreadsheet: its version number (bumped on every
+ * edit) and modifiedTime
+ */
+async function getSheetRevision(spreadsheetId = null) {
+    const sheetId = spreadsheetId || config.googleSheets.spreadsheetId;
+
+    if (!driveClient) {
+        throw new Error('Google Sheets client not initialized. Call initializeSheetsClient() first.');
+    }
+
+    const response = await driveClient.files.get({
+        fileId: sheetId,
+        fields: 'version,modifiedTime'
+    });
+
+    return {
+        version: response.data.version,
+        modifiedTime: response.data.modifiedTime
+    };
+}
+
 module.exports = {
     initializeSheetsClient,
     getSheetsClient,
     readSheetData,
+    readSheetHeaders,
+    columnLetter,
+    columnIndex,
+    parseRange,
+    headerRange,
     batchUpdateSheet,
     updateCell,
-    getSheetMetadata
+    getSheetMetadata,
+    getSheetRevision
 };
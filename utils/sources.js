@@ -0,0 +1,336 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const csv = require('csv-parser');
+const config = require('../config/config');
+const logger = require('./logger');
+const { readSheetData, readSheetHeaders, headerRange, getSheetRevision } = require('./sheets');
+const { readCache, writeCache } = require('./cache');
+
+/**
+ * Read the (mapped) header row of a CSV file
+ */
+function readCsvHeaders(filePath, options = {}) {
+    return new Promise((resolve, reject) => {
+        const fileStream = fs.createReadStream(filePath);
+        const parser = csv(options.mapHeaders ? { mapHeaders: options.mapHeaders } : {});
+
+        parser.on('headers', (headers) => {
+            fileStream.destroy();
+            resolve(headers);
+        });
+        parser.on('end', () => resolve([]));
+        parser.on('error', reject);
+        fileStream.on('error', reject);
+
+        fileStream.pipe(parser).resume();
+    });
+}
+
+/**
+ * Open a CSV file as an object-mode stream of parsed rows
+ *
+ * options.start/options.end read only the bytes [start, end); the range must
+ * start on a line boundary, and options.headers must then supply the header row.
+ */
+function streamCsvFile(filePath, options = {}) {
+    const fileStream = fs.createReadStream(filePath, {
+        start: options.start,
+        end: options.end === undefined ? undefined : options.end - 1
+    });
+    const parserOptions = {};
+
+    if (options.headers) {
+        parserOptions.headers = options.headers;
+    } else if (options.mapHeaders) {
+        parserOptions.mapHeaders = options.mapHeaders;
+    }
+
+    const parser = csv(parserOptions);
+
+    // pipe() does not forward read errors (e.g. ENOENT) to the parser
+    fileStream.on('error', (err) => parser.destroy(err));
+
+    return fileStream.pipe(parser);
+}
+
+/**
+ * Read all rows of a CSV file as objects keyed by header
+ */
+async function readCsvFile(filePath, options = {}) {
+    const rows = [];
+
+    for await (const row of streamCsvFile(filePath, options)) {
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * Read a JSON file containing an array of row objects
+ */
+function readJsonFile(filePath) {
+    const rawData = fs.readFileSync(filePath, 'utf8');
+    const jsonData = JSON.parse(rawData);
+
+    if (!Array.isArray(jsonData)) {
+        throw new Error(`Expected a JSON array in ${filePath}`);
+    }
+
+    return jsonData;
+}
+
+/**
+ * Identify a source for caching: its type plus the spreadsheet and range, or the absolute file path
+ */
+function sourceIdentity(source) {
+    if (source.type === 'SHEET') {
+        return `SHEET:${source.spreadsheetId || config.googleSheets.spreadsheetId}/${source.range || config.googleSheets.range}`;
+    }
+
+    return `${source.type}:${path.resolve(source.path)}`;
+}
+
+/**
+ * Fingerprint a source's current content: size, mtime and SHA-256 for files,
+ * the Drive version and modifiedTime for sheets
+ */
+async function fingerprintSource(source) {
+    if (source.type === 'SHEET') {
+        return getSheetRevision(source.spreadsheetId);
+    }
+
+    const { size, mtimeMs } = await fs.promises.stat(source.path);
+    const hash = crypto.createHash('sha256');
+
+    for await (const chunk of fs.createReadStream(source.path)) {
+        hash.update(chunk);
+    }
+
+    return { size, mtimeMs, sha256: hash.digest('hex') };
+}
+
+/**
+ * Resolve the cache entry for a source with caching enabled, or null to read it uncached
+ */
+async function sourceCache(source) {
+    if (!source.cache || !config.etl.enableCaching) {
+        return null;
+    }
+
+    try {
+        return { key: sourceIdentity(source), fingerprint: await fingerprintSource(source) };
+    } catch (err) {
+        // Without a fingerprint a cached copy could be stale, so the source is read directly
+        logger.warn(`Cannot fingerprint ${sourceIdentity(source)}, reading it without the cache: ${err.message}`);
+        return null;
+    }
+}
+
+/**
+ * Extract rows from a pipeline source definition (SHEET, CSV or JSON)
+ */
+async function extractSource(source) {
+    const cache = await sourceCache(source);
+
+    if (cache) {
+        const cachedData = await readCache(cache.key, cache.fingerprint);
+
+        if (cachedData) {
+            logger.info('Using cached data');
+            return cachedData;
+        }
+    }
+
+    let rows;
+
+    if (source.type === 'SHEET') {
+        rows = await readSheetData(source.spreadsheetId, source.range);
+    } else if (source.type === 'CSV') {
+        rows = await readCsvFile(source.path, { mapHeaders: source.mapHeaders });
+    } else if (source.type === 'JSON') {
+        rows = readJsonFile(source.path);
+    } else {
+        throw new Error(`Unsupported source type: ${source.type}`);
+    }
+
+    if (source.mapRow) {
+        rows = rows.map(source.mapRow);
+    }
+
+    if (cache) {
+        await writeCache(cache.key, rows, { fingerprint: cache.fingerprint });
+    }
+
+    return rows;
+}
+
+/**
+ * Read a source's header row (for JSON, every key used by any row)
+ */
+async function readSourceHeaders(source) {
+    if (source.type === 'SHEET') {
+        return readSheetHeaders(source.spreadsheetId, source.headerRange || headerRange(source.range || config.googleSheets.range));
+    }
+    if (source.type === 'CSV') {
+        return readCsvHeaders(source.path, { mapHeaders: source.mapHeaders });
+    }
+    if (source.type === 'JSON') {
+        return [...new Set(readJsonFile(source.path).flatMap(row => Object.keys(row)))];
+    }
+
+    throw new Error(`Unsupported source type: ${source.type}`);
+}
+
+/**
+ * Compare headers ignoring case and spacing ("Year of  study" matches "Year Of Study")
+ */
+function normalizeHeader(header) {
+    return String(header).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Add aliases from a "field=Header|Other Header; field=Header" setting to a column mapping
+ */
+function withColumnAliases(columns, aliases) {
+    if (!aliases) {
+        return columns;
+    }
+
+    const merged = { ...columns };
+
+    for (const entry of aliases.split(';').filter(part => part.trim() !== '')) {
+        const [field, headers] = entry.split('=').map(part => (part || '').trim());
+
+        if (!merged[field] || !headers) {
+            throw new Error(`Invalid column alias "${entry.trim()}" (expected field=Header|Other Header; fields: ${Object.keys(columns).join(', ')})`);
+        }
+
+        merged[field] = { ...merged[field], aliases: [...headers.split('|').map(header => header.trim()), ...(merged[field].aliases || [])] };
+    }
+
+    return merged;
+}
+
+/**
+ * Resolve a column mapping against a header row
+ *
+ * columns maps each field to { header, aliases, required }. A field takes the
+ * first of its header and aliases present in the header row, so columns may be
+ * reordered or renamed to a known alias. Returns { field: { header, index } }
+ * for the fields found; a missing required field is an error listing every
+ * missing field and the headers that were found.
+ */
+function resolveColumns(columns, headers, label) {
+    const positions = new Map();
+    headers.forEach((header, index) => {
+        if (!positions.has(normalizeHeader(header))) {
+            positions.set(normalizeHeader(header), index);
+        }
+    });
+
+    const resolved = {};
+    const missing = [];
+
+    for (const [field, spec] of Object.entries(columns)) {
+        const candidate = [spec.header, ...(spec.aliases || [])].find(name => positions.has(normalizeHeader(name)));
+
+        if (candidate !== undefined) {
+            const index = positions.get(normalizeHeader(candidate));
+            resolved[field] = { header: headers[index], index };
+        } else if (spec.required) {
+            missing.push(`${field} ("${[spec.header, ...(spec.aliases || [])].join('", "')}")`);
+        }
+    }
+
+    if (missing.length > 0) {
+        throw new Error(`${label} is missing required column${missing.length > 1 ? 's' : ''} ${missing.join(', ')}; found: ${headers.map(header => `"${header}"`).join(', ') || 'no header row'}`);
+    }
+
+    return resolved;
+}
+
+/**
+ * Resolve a source's column mapping (plus its configured aliases) against its current header row
+ */
+async function resolveSourceColumns(source) {
+    const columns = withColumnAliases(source.columns, source.columnAliases);
+    return resolveColumns(columns, await readSourceHeaders(source), sourceIdentity(source));
+}
+
+/**
+ * Key a raw row (an array for sheets, an object keyed by header otherwise) by mapped field
+ */
+function projectRow(row, resolved) {
+    const mapped = {};
+
+    for (const [field, { header, index }] of Object.entries(resolved)) {
+        mapped[field] = Array.isArray(row) ? row[index] : row[header];
+    }
+
+    return mapped;
+}
+
+/**
+ * Iterate source rows one at a time
+ *
+ * CSV sources are streamed so memory stays flat regardless of file size;
+ * the consumer's `for await` pauses the parser (backpressure) while it works.
+ * Sheet/JSON sources, and CSV sources that are cached, are read up front.
+ * A CSV source may set start/end byte offsets to read only part of the file.
+ *
+ * A source with `columns` is resolved against its header row before any row
+ * is read, and yields rows keyed by field instead of by header or position.
+ */
+async function* iterateSource(source) {
+    if (source.columns) {
+        const resolved = await resolveSourceColumns(source);
+
+        for await (const row of iterateRawSource(source)) {
+            yield projectRow(row, resolved);
+        }
+        return;
+    }
+
+    yield* iterateRawSource(source);
+}
+
+/**
+ * Iterate a source's rows as read (see iterateSource)
+ */
+async function* iterateRawSource(source) {
+    const cached = source.cache && config.etl.enableCaching;
+
+    if (source.type === 'CSV' && !cached) {
+        const range = { start: source.start, end: source.end };
+
+        // Resuming mid-file: nothing new, or the header row has to be read separately
+        if (source.start > 0) {
+            if (source.end !== undefined && source.start >= source.end) {
+                return;
+            }
+            range.headers = await readCsvHeaders(source.path, { mapHeaders: source.mapHeaders });
+        }
+
+        for await (const row of streamCsvFile(source.path, { mapHeaders: source.mapHeaders, ...range })) {
+            yield source.mapRow ? source.mapRow(row) : row;
+        }
+        return;
+    }
+
+    yield* await extractSource(source);
+}
+
+module.exports = {
+    sourceIdentity,
+    fingerprintSource,
+    readCsvHeaders,
+    readCsvFile,
+    streamCsvFile,
+    readJsonFile,
+    extractSource,
+    resolveColumns,
+    resolveSourceColumns,
+    iterateSource
+};
@@ -0,0 +1,163 @@
+// Plain identifiers only: letters, digits and underscores, not starting with a digit
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const MAX_IDENTIFIER_LENGTH = 63;
+
+/**
+ * Raised for identifiers, bounds or clauses that are not safe to put into SQL
+ */
+class SqlInputError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SqlInputError';
+    }
+}
+
+/**
+ * Throw unless name is a plain SQL identifier
+ */
+function assertIdentifier(name, what = 'identifier') {
+    if (typeof name !== 'string' || !IDENTIFIER_PATTERN.test(name) || name.length > MAX_IDENTIFIER_LENGTH) {
+        throw new SqlInputError(
+            `Invalid ${what} ${JSON.stringify(name)}: expected letters, digits and underscores (max ${MAX_IDENTIFIER_LENGTH} characters)`
+        );
+    }
+
+    return name;
+}
+
+/**
+ * Split an optionally schema-qualified table name into [schema, table]
+ */
+function splitTableName(tableName) {
+    const parts = typeof tableName === 'string' ? tableName.split('.') : [tableName];
+
+    if (parts.length > 2) {
+        throw new SqlInputError(`Invalid table name ${JSON.stringify(tableName)}: expected table or schema.table`);
+    }
+
+    parts.forEach(part => assertIdentifier(part, 'table name'));
+    return parts.length === 2 ? parts : [null, parts[0]];
+}
+
+/**
+ * Validate and double-quote a column name
+ */
+function quoteIdentifier(name, what = 'column name') {
+    return `"${assertIdentifier(name, what)}"`;
+}
+
+/**
+ * Validate and double-quote a table name, keeping its schema qualifier
+ */
+function quoteTable(tableName) {
+    const [schema, table] = splitTableName(tableName);
+    return schema ? `"${schema}"."${table}"` : `"${table}"`;
+}
+
+/**
+ * Throw unless value is a finite number (or numeric string); returns the number
+ */
+function assertNumber(value, what) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+        throw new SqlInputError(`Invalid ${what} ${JSON.stringify(value)}: expected a finite number`);
+    }
+
+    return number;
+}
+
+/**
+ * Check that a table and its columns exist, using information_schema
+ */
+async function assertColumns(db, tableName, columns = []) {
+    const [schema, table] = splitTableName(tableName);
+    columns.forEach(column => assertIdentifier(column, 'column name'));
+
+    const result = await db.query(
+        `SELECT column_name FROM information_schema.columns
+     WHERE table_schema = COALESCE($1, current_schema()) AND table_name = $2`,
+        [schema, table]
+    );
+
+    if (result.rows.length === 0) {
+        throw new SqlInputError(`Unknown table ${tableName}`);
+    }
+
+    const known = new Set(result.rows.map(row => row.column_name));
+    const unknown = columns.filter(column => !known.has(column));
+
+    if (unknown.length > 0) {
+        throw new SqlInputError(`Unknown column${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')} in ${tableName}`);
+    }
+}
+
+const CONFLICT_ACTION_PATTERN = /^\s*(?:\(([^()]*)\)\s*)?DO\s+(NOTHING|UPDATE\s+SET\s+(.+?))\s*$/is;
+const ASSIGNMENT_PATTERN = /^\s*([A-Za-z0-9_]+)\s*=\s*EXCLUDED\s*\.\s*([A-Za-z0-9_]+)\s*$/i;
+
+/**
+ * Parse an ON CONFLICT action against the supported grammar:
+ *
+ *   DO NOTHING
+ *   (col, ...) DO NOTHING
+ *   (col, ...) DO UPDATE SET col = EXCLUDED.col, ...
+ */
+function parseConflictAction(action) {
+    const grammar = 'expected DO NOTHING, (columns) DO NOTHING or (columns) DO UPDATE SET column = EXCLUDED.column, ...';
+    const match = typeof action === 'string' ? action.match(CONFLICT_ACTION_PATTERN) : null;
+
+    if (!match) {
+        throw new SqlInputError(`Unsupported conflict action ${JSON.stringify(action)}: ${grammar}`);
+    }
+
+    const [, targetList, , assignmentList] = match;
+    const target = targetList === undefined ? [] : targetList.split(',').map(column => assertIdentifier(column.trim(), 'conflict column'));
+
+    if (!assignmentList) {
+        return { target, update: [] };
+    }
+
+    if (target.length === 0) {
+        throw new SqlInputError(`Unsupported conflict action ${JSON.stringify(action)}: DO UPDATE needs a conflict target; ${grammar}`);
+    }
+
+    const update = assignmentList.split(',').map((assignment) => {
+        const assignmentMatch = assignment.match(ASSIGNMENT_PATTERN);
+
+        if (!assignmentMatch) {
+            throw new SqlInputError(`Unsupported assignment ${JSON.stringify(assignment.trim())} in conflict action: expected column = EXCLUDED.column`);
+        }
+
+        return {
+            column: assertIdentifier(assignmentMatch[1], 'column name'),
+            source: assertIdentifier(assignmentMatch[2], 'column name')
+        };
+    });
+
+    return { target, update };
+}
+
+/**
+ * Build a quoted ON CONFLICT clause from a parsed conflict action
+ */
+function buildConflictClause({ target, update }) {
+    const targetSql = target.length > 0 ? ` (${target.map(column => quoteIdentifier(column)).join(', ')})` : '';
+
+    if (update.length === 0) {
+        return `ON CONFLICT${targetSql} DO NOTHING`;
+    }
+
+    const assignments = update.map(({ column, source }) => `${quoteIdentifier(column)} = EXCLUDED.${quoteIdentifier(source)}`);
+    return `ON CONFLICT${targetSql} DO UPDATE SET ${assignments.join(', ')}`;
+}
+
+module.exports = {
+    SqlInputError,
+    assertIdentifier,
+    quoteIdentifier,
+    quoteTable,
+    assertNumber,
+    assertColumns,
+    parseConflictAction,
+    buildConflictClause
+};
@@ -1,5 +1,6 @@
 const validator = require('validator');
 const logger = require('./logger');
+const { defineRowSchema } = require('./row_schema');
 
 /**
  * Sanitize string input - remove special characters and limit length
@@ -15,6 +16,39 @@ function sanitizeString(input, maxLength = 255) {
         .substring(0, maxLength);
 }
 
+/**
+ * Sanitize an optional string: missing or blank input is unknown (null), not ''
+ */
+function sanitizeOptionalString(input, maxLength = 255) {
+    const sanitized = sanitizeString(input, maxLength);
+    return sanitized === '' ? null : sanitized;
+}
+
+/**
+ * Fill unknown (null) fields from an imputation policy
+ *
+ * policy maps a column to a default value, or to a function of the record
+ * data returning one. Mutates data and returns the columns that were filled.
+ */
+function imputeMissing(data, policy) {
+    const imputed = [];
+
+    for (const [column, fallback] of Object.entries(policy)) {
+        if (data[column] !== null && data[column] !== undefined) {
+            continue;
+        }
+
+        const value = typeof fallback === 'function' ? fallback(data) : fallback;
+
+        if (value !== null && value !== undefined) {
+            data[column] = value;
+            imputed.push(column);
+        }
+    }
+
+    return imputed;
+}
+
 /**
  * Sanitize name fields
  */
@@ -144,139 +178,119 @@ function parseFullName(fullName) {
     };
 }
 
+const STUDENT_GRADES = ['A', 'A-', 'B+', 'B', 'B-', 'C+', 'C', 'C-', 'D', 'F'];
+
 /**
- * Validate student data row from Google Sheets/CSV
+ * Student row, keyed by the students pipeline's column mapping (name, email, ... year)
  */
-function validateStudentRow(row) {
-    const errors = [];
-    const sanitized = {};
-
-    // Validate name (index 1)
-    const nameResult = parseFullName(row[1]);
-    if (!nameResult.valid) {
-        errors.push(`Name: ${nameResult.error}`);
-    } else {
-        sanitized.firstName = nameResult.firstName;
-        sanitized.lastName = nameResult.lastName;
-    }
-
-    // Validate email (index 2)
-    const emailResult = validateEmail(row[2]);
-    if (!emailResult.valid) {
-        errors.push(`Email: ${emailResult.error}`);
-    } else {
-        sanitized.email = emailResult.email;
+const studentRowSchema = defineRowSchema({
+    fields: {
+        firstName: { type: 'string', source: 'name', required: true, transform: name => parseFullName(name).firstName },
+        lastName: { type: 'string', source: 'name', transform: name => parseFullName(name).lastName },
+        email: { type: 'string', required: true, maxLength: 100, truncate: false, format: 'email', transform: email => email.toLowerCase() },
+        phone: { type: 'string', transform: phone => phone.replace(/[^\d+\-() ]/g, '').substring(0, 20).trim() },
+        department: { type: 'string', maxLength: 100 },
+        course: { type: 'string', maxLength: 100 },
+        credits: { type: 'integer', min: 1, max: 10 },
+        grade: { type: 'string', enum: STUDENT_GRADES, transform: grade => grade.toUpperCase() },
+        year: { type: 'integer', min: 1, max: 5 }
     }
+});
 
-    // Validate phone (index 3) - optional
-    const phoneResult = validatePhone(row[3]);
-    sanitized.phone = phoneResult.phone;
-
-    // Validate department (index 4)
-    sanitized.department = sanitizeString(row[4] || 'General', 100);
-
-    // Validate course (index 5)
-    sanitized.course = sanitizeString(row[5] || 'General', 100);
-
-    // Validate credits (index 6)
-    const creditsResult = validateInteger(row[6], 1, 10);
-    if (row[6] && !creditsResult.valid) {
-        errors.push(`Credits: ${creditsResult.error}`);
-    }
-    sanitized.credits = creditsResult.valid ? creditsResult.value : null;
-
-    // Validate grade (index 7)
-    const grade = row[7] ? sanitizeString(row[7], 5).toUpperCase() : null;
-    if (grade && !['A', 'A-', 'B+', 'B', 'B-', 'C+', 'C', 'C-', 'D', 'F'].includes(grade)) {
-        errors.push(`Grade: Invalid grade value '${grade}'`);
-    }
-    sanitized.grade = grade;
+/**
+ * Netflix title row; text columns without a maxLength are TEXT
+ */
+const netflixRowSchema = defineRowSchema({
+    fields: {
+        show_id: { type: 'string', required: true, maxLength: 10 },
+        type: { type: 'string', maxLength: 20, enum: ['Movie', 'TV Show'] },
+        title: { type: 'string', maxLength: 255 },
+        director: { type: 'string' },
+        cast_members: { type: 'string', source: 'cast' },
+        country: { type: 'string', maxLength: 255 },
+        // e.g. "September 25, 2021", as parsed by normalize_netflix_titles
+        date_added: { type: 'string', maxLength: 50, pattern: /^[A-Z][a-z]+ \d{1,2}, \d{4}$/ },
+        release_year: { type: 'integer', min: 1900, max: 2030 },
+        rating: { type: 'string', maxLength: 20 },
+        duration: { type: 'string', maxLength: 20 },
+        listed_in: { type: 'string' },
+        description: { type: 'string' }
+    },
+    rules: [
+        {
+            code: 'duration_unit',
+            path: 'duration',
+            message: 'duration must be in minutes for a Movie and in seasons for a TV Show',
+            check: ({ type, duration }) => !type || !duration ||
+                (type === 'Movie' ? / min$/ : / Seasons?$/).test(duration)
+        }
+    ]
+});
 
-    // Validate year (index 8)
-    const yearResult = validateInteger(row[8], 1, 5);
-    if (row[8] && !yearResult.valid) {
-        errors.push(`Year: ${yearResult.error}`);
+/**
+ * Titanic passenger row, including the Encyclopedia Titanica enrichment columns
+ */
+const titanicRowSchema = defineRowSchema({
+    fields: {
+        passenger_id: { type: 'integer', source: 'passengerid', required: true, min: 1 },
+        survived: { type: 'integer', min: 0, max: 1 },
+        pclass: { type: 'integer', min: 1, max: 3 },
+        name: { type: 'string', maxLength: 255 },
+        sex: { type: 'string', maxLength: 10 },
+        age: { type: 'number', min: 0, max: 150 },
+        sibsp: { type: 'integer', min: 0, max: 10 },
+        parch: { type: 'integer', min: 0, max: 10 },
+        ticket: { type: 'string', maxLength: 50 },
+        fare: { type: 'number', min: 0 },
+        cabin: { type: 'string', maxLength: 50 },
+        embarked: { type: 'string', maxLength: 5 },
+        // Null for passengers without a wiki match
+        wiki_id: { type: 'integer', source: 'wikiid', min: 1 },
+        name_wiki: { type: 'string', maxLength: 255 },
+        age_wiki: { type: 'number', min: 0, max: 150 },
+        hometown: { type: 'string', maxLength: 255 },
+        boarded: { type: 'string', maxLength: 50 },
+        destination: { type: 'string', maxLength: 255 },
+        lifeboat: { type: 'string', maxLength: 20 },
+        body: { type: 'string', maxLength: 20 },
+        wiki_class: { type: 'integer', source: 'class', min: 1, max: 3 }
     }
-    sanitized.year = yearResult.valid ? yearResult.value : 1;
+});
 
-    return {
-        valid: errors.length === 0,
-        errors,
-        data: sanitized
-    };
+/**
+ * Validate a student row from Google Sheets, CSV or JSON
+ */
+function validateStudentRow(row) {
+    return studentRowSchema.validate(row);
 }
 
 /**
  * Validate Netflix row data
  */
 function validateNetflixRow(row) {
-    if (!row.show_id) {
-        return { valid: false, error: 'show_id is required' };
-    }
-
-    const yearResult = validateInteger(row.release_year, 1900, 2030);
-
-    return {
-        valid: true,
-        data: {
-            show_id: sanitizeString(row.show_id, 10),
-            type: sanitizeString(row.type, 20),
-            title: sanitizeString(row.title, 255),
-            director: sanitizeString(row.director, 500),
-            cast_members: sanitizeString(row.cast, 1000),
-            country: sanitizeString(row.country, 255),
-            date_added: sanitizeString(row.date_added, 50),
-            release_year: yearResult.valid ? yearResult.value : null,
-            rating: sanitizeString(row.rating, 20),
-            duration: sanitizeString(row.duration, 20),
-            listed_in: sanitizeString(row.listed_in, 500),
-            description: sanitizeString(row.description, 1000)
-        }
-    };
+    return netflixRowSchema.validate(row);
 }
 
 /**
  * Validate Titanic row data
  */
 function validateTitanicRow(row) {
-    const passengerIdResult = validateInteger(row.passengerid);
-
-    if (!passengerIdResult.valid) {
-        return { valid: false, error: 'Invalid passenger_id' };
-    }
-
-    const ageResult = validateNumber(row.age, 0, 150);
-    const fareResult = validateNumber(row.fare, 0);
-    const sibspResult = validateInteger(row.sibsp, 0, 10);
-    const parchResult = validateInteger(row.parch, 0, 10);
-
-    return {
-        valid: true,
-        data: {
-            passenger_id: passengerIdResult.value,
-            survived: validateInteger(row.survived, 0, 1).value || 0,
-            pclass: validateInteger(row.pclass, 1, 3).value || 3,
-            name: sanitizeString(row.name, 255),
-            sex: sanitizeString(row.sex, 10),
-            age: ageResult.valid ? ageResult.value : null,
-            sibsp: sibspResult.valid ? sibspResult.value : 0,
-            parch: parchResult.valid ? parchResult.value : 0,
-            ticket: sanitizeString(row.ticket, 50),
-            fare: fareResult.valid ? fareResult.value : 0.0,
-            cabin: sanitizeString(row.cabin, 50),
-            embarked: sanitizeString(row.embarked, 5)
-        }
-    };
+    return titanicRowSchema.validate(row);
 }
 
 module.exports = {
     sanitizeString,
+    sanitizeOptionalString,
+    imputeMissing,
     sanitizeName,
     validateEmail,
     validatePhone,
     validateNumber,
     validateInteger,
     parseFullName,
+    studentRowSchema,
+    netflixRowSchema,
+    titanicRowSchema,
     validateStudentRow,
     validateNetflixRow,
     validateTitanicRow
@@ -0,0 +1,63 @@
+const logger = require('./logger');
+const { queryWithRetry } = require('./db');
+
+/**
+ * Get a pipeline's high-water mark for one source (see sourceIdentity), or null
+ * before its first incremental run over that source
+ */
+async function getWatermark(pipeline, source) {
+    const result = await queryWithRetry(
+        'SELECT pipeline, source, kind, value, run_id, updated_at FROM etl_watermarks WHERE pipeline = $1 AND source = $2',
+        [pipeline, source]
+    );
+
+    return result.rows[0] || null;
+}
+
+/**
+ * Sources a pipeline has marks for, most recently updated first
+ */
+async function listWatermarkSources(pipeline) {
+    const result = await queryWithRetry(
+        'SELECT source FROM etl_watermarks WHERE pipeline = $1 ORDER BY updated_at DESC',
+        [pipeline]
+    );
+
+    return result.rows.map(row => row.source);
+}
+
+/**
+ * Store a pipeline's high-water mark for one source after a committed run
+ */
+async function saveWatermark(pipeline, source, kind, value, runId) {
+    await queryWithRetry(
+        `INSERT INTO etl_watermarks (pipeline, source, kind, value, run_id)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (pipeline, source) DO UPDATE SET
+       kind = EXCLUDED.kind,
+       value = EXCLUDED.value,
+       run_id = EXCLUDED.run_id,
+       updated_at = CURRENT_TIMESTAMP`,
+        [pipeline, source, kind, JSON.stringify(value), runId]
+    );
+
+    logger.info(`Watermark for ${pipeline} (${source}) set to ${JSON.stringify(value)}`);
+}
+
+/**
+ * List the high-water marks of all pipelines
+ */
+async function listWatermarks() {
+    const result = await queryWithRetry(
+        'SELECT pipeline, source, kind, value, run_id, updated_at FROM etl_watermarks ORDER BY pipeline, source'
+    );
+
+    return result.rows;
+}
+
+module.exports = {
+    getWatermark,
+    listWatermarkSources,
+    saveWatermark,
+    listWatermarks
+};